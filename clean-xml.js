@@ -4,6 +4,38 @@
 // DESCRIPTION:
 //   This script applies replacements to all ./xml/*.xml files. It processes the files based on the replacement
 //   rules defined in json/replaces.json, and it outputs cleaned copies in folder ./output .
+//   Dumps are streamed page by page and each rule only rewrites the parts of a page named by its "scope":
+//   title, text, wikilink-target, template-name or edit-summary (see lib/rules.js).
+//   <siteinfo> is left untouched. The bytes and sha1 of rewritten texts are recomputed.
+//   Template calls and Template: pages are renamed, and their parameters renamed, dropped or reordered,
+//   after json/templates.json (see lib/templates.js).
+//   The queries of {{SPARQL}} calls are translated from the Lingua Libre Wikibase to Wikidata IDs with
+//   json/sparql.json, and those that cannot be translated automatically are reported (see lib/sparql.js).
+//   Revision contributors are mapped to Commons accounts with json/contributors.json, and the usernames it
+//   does not list are prefixed with its interwiki prefix ("lingualibre>Name"), see lib/contributors.js.
+//   Pages that the cleaner() of their namespace in js/*.js discards (the pages not "Kept" on the dashboard)
+//   are left out of the output, and links ([[...]], {{Localized link|...}}) to such pages are reported.
+//   Translation units (Translations:<page>/<n>/<language>) are renamed after their source page, and the
+//   units whose source page is discarded, missing from the dumps or no longer marks them are reported
+//   (see lib/translate.js).
+//   The <ns> of each page is recomputed from its new title with the namespace ids of Commons listed in
+//   json/commons-namespaces.json, and nothing is written if a new title keeps the prefix of a Lingua Libre
+//   namespace that Commons does not have, such as List: (see lib/target-namespaces.js).
+//   Once written, every dump of this run is checked for well-formedness and against the structure of the
+//   MediaWiki export-0.10/0.11 schema, <ns>, positive and unique <id>s included, and the run fails with the file, line,
+//   byte offset and page title of each problem (see lib/validate.js).
+//   Category tags ([[Category:Name|sort key]]) of the categories that js/category.js discards are removed, unless
+//   a wikilink-target rule renames them to a category of Commons; sort keys are kept (see lib/categories.js).
+//   JavaScript transform plugins registered in json/plugins.json rewrite the wikitext and edit summaries of
+//   pages where a regex cannot, before or after the text rules (see lib/plugins.js).
+//   The extension tags, parser functions, magic words and Special: links used by the pages can be inventoried
+//   and compared with what Commons supports, as listed in json/commons-constructs.json (see lib/constructs.js).
+//   The links, transclusions and categories of the cleaned pages can be checked against the titles of the
+//   migrated pages and a snapshot of the titles of Commons, to list the red links before importing
+//   (see lib/red-links.js).
+//   Redirects (#REDIRECT [[...]]) point to the title their target is finally written under, double redirects
+//   are collapsed into one, and the redirects to pages that are not migrated go the way of discarded pages; the
+//   old titles of renamed pages can be turned into redirects to their new titles (see lib/redirects.js).
 //
 // USAGE:
 //   node clean-xml.js [OPTIONS]
@@ -11,18 +43,94 @@
 //
 // OPTIONS:
 //   -h, --help           Show this help message
-//   -t, --test           Run test suite to validate replacement rules
+//   -t, --test           Run the fixtures of json/replaces.tests.json under every --activate combination
+//                        (or only the given one) and list the rules that no fixture exercises
+//   --explain=<title>    Show which rules fire, step by step, when renaming a title
+//   --explain-text=<wikitext>
+//                        Same for a wikitext snippet (json/templates.json, then text, wikilink-target and template-name rules)
+//   --analyze            Flag rules that are no-ops, shadowed by earlier rules, or not idempotent
 //   -d, --dry-run        Show what would be changed without making modifications
+//   --diff=<file>        Write the changes of every page (old -> new title, wikitext of each revision) as a
+//                        unified diff to <file>, or as an HTML report if <file> ends with .html
+//   --report=<file>      Write what happened to each page (old and new title and namespace, whether its
+//                        namespace cleaner keeps it, wikitext bytes before and after, rules fired, warnings)
+//                        to <file> as JSON, or as CSV if <file> ends with .csv (repeatable)
+//   --constructs=<file> Write the extension tags, parser functions, magic words and special pages used by the
+//                        latest revision of the pages, whether Commons supports them, and the pages using them
+//                        before and after cleaning, to <file> as JSON, or as CSV if <file> ends with .csv
+//   --red-links=<file>   Write the links, templates and categories of the cleaned pages that neither a migrated
+//                        page nor an existing page of Commons (see --existing-titles) would take, page by page,
+//                        to <file> as JSON, or as CSV if <file> ends with .csv
+//   --existing-titles=<file>
+//                        Snapshot of the titles of Commons for --red-links and --redirect-old-titles, one per
+//                        line or as in commonswiki-latest-all-titles(.gz) (default: none, only migrated pages exist)
+//   --redirect-old-titles
+//                        Also write a redirect from the old title of each renamed page, as Commons would name it,
+//                        to its new title, unless the title is taken by a migrated page or by a page of Commons
+//                        (requires --existing-titles); not for galleries, categories and translation units
+//   --diff-rule=<n>      Only put in the diff the pages changed by rule #n of replaces.json (repeatable)
+//   --diff-namespace=<name>
+//                        Only put in the diff the pages of a namespace, "Main" for the main one (repeatable)
 //   -v, --verbose        Show detailed progress information (default)
 //   -q, --quiet          Run silently, only show errors
 //   --activate=<value>   Activate conditional rules (e.g., --activate=list)
+//   --on-collision=<strategy>
+//                        What to do when two pages get the same new title (default: fail):
+//                        fail    stop before writing anything and list the collisions
+//                        report  list the collisions and write both pages anyway
+//                        suffix  keep the first page, add a numbered suffix to the others' titles
+//                        merge   write one page holding the revisions of all colliding pages
+//   --collision-suffix=<text>
+//                        Suffix used by --on-collision=suffix, {n} being replaced by 2, 3...
+//                        (default: " ({n})")
+//   --keep-revisions=<n> Only keep the <n> latest revisions of each page, "latest" being 1 (default: all)
+//   --rewrite-revisions=<which>
+//                        Which revisions rules rewrite (default: all):
+//                        all   the text and edit summary of every revision
+//                        head  only the latest revision, older ones are kept as they were
+//   --templates=<file>   Rewrite template calls with another file than json/templates.json
+//   --sparql=<file>      Translate SPARQL queries with another file than json/sparql.json
+//   --plugins=<file>     Run the transform plugins of another file than json/plugins.json
+//   --target-namespaces=<file>
+//                        Recompute <ns> with another namespace table than json/commons-namespaces.json
+//   --target-constructs=<file>
+//                        Compare the --constructs inventory with another table than json/commons-constructs.json
+//   --contributors=<file>
+//                        Map contributors with another file than json/contributors.json
+//   --keep-contributors  Leave the <contributor> of revisions as they are
+//   --discarded=<mode>   What to do with the pages that their namespace cleaner discards (default: drop):
+//                        drop      leave them out of the output
+//                        separate  write them unchanged to ./output/discarded/<dump>.xml
+//                        keep      clean and write them like the other pages
+//   --incremental        Only clean again the pages whose XML, or whose rules, mappings, plugins and namespace cleaners,
+//                        changed since the last --incremental run, and list the pages whose output changed;
+//                        the cleaned pages are cached in ./.cache/clean-xml/ (see lib/cache.js)
+//   --jobs=<n>           Clean pages in <n> worker threads; outputs, counts and reports stay in dump order
+//                        and are the same as with one job (default: 1, no worker thread)
+//   --split              Write the pages of all dumps to ./output/<Namespace>-<nnn>.xml files, grouped by
+//                        target namespace (Help, Commons, Template, Translations...) instead of one file per
+//                        dump, and list the pages of each file in ./output/manifest.json
+//   --max-bytes=<size>   With --split, start a new file rather than exceed <size> bytes (e.g., 95M, 800K)
+//   --max-pages=<n>      With --split, start a new file after <n> pages
 //
 // EXAMPLES:
 //   node clean-xml.js                  # Apply all replacements
 //   node clean-xml.js --test           # Run test suite
+//   node clean-xml.js --explain="Help:Main"   # Trace the rename of a title
+//   node clean-xml.js --analyze        # Check replaces.json for dead or unstable rules
 //   node clean-xml.js --dry-run        # Preview changes without applying
+//   node clean-xml.js --dry-run --diff=changes.html --diff-namespace=Help   # Review the changes of Help pages
+//   node clean-xml.js --dry-run --report=report.json --report=report.csv   # Track the migration page by page
+//   node clean-xml.js --dry-run --constructs=constructs.csv   # Find what Commons cannot render
+//   node clean-xml.js --dry-run --red-links=red-links.csv --existing-titles=commonswiki-latest-all-titles.gz
+//   node clean-xml.js --redirect-old-titles --existing-titles=commonswiki-latest-all-titles.gz
 //   node clean-xml.js --quiet          # Run silently
-//   node clean-xml.js --activate=list  # Activate rules that require 'list'
+//   node clean-xml.js --activate=list  # Activate rules that require 'list' (convert List:* pages to {{Lingua Libre list}})
+//   node clean-xml.js --on-collision=suffix --collision-suffix=" (Lingua Libre {n})"
+//   node clean-xml.js --split --max-bytes=95M   # Files small enough for Special:Import
+//   node clean-xml.js --keep-revisions=latest   # Drop the page histories
+//   node clean-xml.js --incremental    # Only clean the pages changed since the last run
+//   node clean-xml.js --jobs=4         # Use 4 CPU cores
 //
 // REPLACEMENTS APPLIED:
 //   See json/replaces.json for complete list of transformation rules.
@@ -30,13 +138,54 @@
 // REQUIREMENTS:
 //   - Node.js (ES6+)
 //   - json/replaces.json file with transformation rules
+//   - json/replaces.tests.json file with test fixtures (for --test mode)
+//   - json/templates.json file with the template mapping
+//   - json/sparql.json file with the SPARQL prefix and ID mapping
+//   - json/plugins.json file with the transform plugins to run (an empty list for none)
+//   - json/commons-namespaces.json file with the namespaces of the target wiki
+//   - json/commons-constructs.json file with the constructs the target wiki supports (for --constructs)
+//   - json/contributors.json file with the contributor mapping (unless --keep-contributors)
 //   - XML files in ./xml directory (not required for --test mode)
 //
 // OUTPUT:
-//   Cleaned XML files are saved to ./output directory
+//   Cleaned XML files are saved to ./output directory (with a manifest.json when using --split), and the
+//   contributors that json/contributors.json does not map are listed in ./output/unmapped-contributors.json.
+//   The files a previous run wrote in the other mode, with or without --split, are removed first.
 
 const fs = require('fs');
 const path = require('path');
+const { readPages, createOutput } = require('./lib/xml-stream');
+const { getElement, getTextContent, parsePage, serializePage } = require('./lib/page');
+const { loadRules, isActive } = require('./lib/rules');
+const { createCleaner } = require('./lib/cleaner');
+const { loadFixtures, featureCombinations, featureKey, expectedFor, runFixture } = require('./lib/fixtures');
+const { explain, analyzeRules, label } = require('./lib/explain');
+const { STRATEGIES, buildTitleMap, findCollisions, resolveCollisions, mergePages } = require('./lib/collisions');
+const { createDiffReport } = require('./lib/diff-report');
+const { createRunReport } = require('./lib/run-report');
+const { hashText, hashFiles, ruleKey, createPageCache } = require('./lib/cache');
+const { createCleanPool } = require('./lib/clean-pool');
+const { parseSize, removeChunks, createChunkWriter } = require('./lib/chunks');
+const { latestRevisions, headRevision } = require('./lib/revisions');
+const { loadContributorMap, mapContributors } = require('./lib/contributors');
+const { loadTemplateMap, unmigratedTemplates } = require('./lib/templates');
+const { loadSparqlMap } = require('./lib/sparql');
+const { loadPlugins, compilePlugins } = require('./lib/plugins');
+const { renameUnitTitle, indexTranslations, checkTranslations } = require('./lib/translate');
+const { findNamespace, splitTitle, normalizeTitle, isDiscarded } = require('./lib/namespaces');
+const { validateFile } = require('./lib/validate');
+const { loadTargetNamespaces, targetNamespace } = require('./lib/target-namespaces');
+const { loadSupportedConstructs, createConstructInventory, writeConstructReport } = require('./lib/constructs');
+const { canonicalTitle, findExistingTitles, createRedLinkFinder, writeRedLinkReport } = require('./lib/red-links');
+const { CATEGORY_CLEANER } = require('./lib/categories');
+const { indexRedirects, resolveRedirect, setRedirectTarget, findHighestIds, createRedirectPage } = require('./lib/redirects');
+
+// What --discarded can do with the pages that their namespace cleaner discards
+const DISCARDED_MODES = ['drop', 'separate', 'keep'];
+
+// Namespaces of the target wiki where --redirect-old-titles creates no redirect: galleries,
+// categories (a redirected category keeps no member) and translation units
+const NO_REDIRECT_NAMESPACES = [0, 14, 1198];
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -44,6 +193,33 @@ let dryRun = false;
 let verbose = true;
 let quiet = false;
 let testMode = false;
+let explainValue = null;
+let explainScope = null;
+let analyzeMode = false;
+let collisionStrategy = 'fail';
+let collisionSuffix = ' ({n})';
+let diffPath = null;
+const reportPaths = [];
+let constructsPath = null;
+let redLinksPath = null;
+let existingTitlesPath = null;
+let redirectOldTitles = false;
+let discardedMode = 'drop';
+let templatesPath = path.join(__dirname, 'json', 'templates.json');
+let sparqlPath = path.join(__dirname, 'json', 'sparql.json');
+let pluginsPath = path.join(__dirname, 'json', 'plugins.json');
+let targetNamespacesPath = path.join(__dirname, 'json', 'commons-namespaces.json');
+let targetConstructsPath = path.join(__dirname, 'json', 'commons-constructs.json');
+let contributorsPath = path.join(__dirname, 'json', 'contributors.json');
+let keepRevisions = null;
+let rewriteRevisions = 'all';
+let splitMode = false;
+let incremental = false;
+let jobs = 1;
+let maxBytes = null;
+let maxPages = null;
+const diffRules = new Set();
+const diffNamespaces = new Set();
 const activatedFeatures = new Set();
 
 for (const arg of args) {
@@ -67,10 +243,25 @@ for (const arg of args) {
         case '--test':
             testMode = true;
             break;
+        case '--analyze':
+            analyzeMode = true;
+            break;
         case '-d':
         case '--dry-run':
             dryRun = true;
             break;
+        case '--split':
+            splitMode = true;
+            break;
+        case '--incremental':
+            incremental = true;
+            break;
+        case '--keep-contributors':
+            contributorsPath = null;
+            break;
+        case '--redirect-old-titles':
+            redirectOldTitles = true;
+            break;
         case '-v':
         case '--verbose':
             verbose = true;
@@ -91,6 +282,127 @@ for (const arg of args) {
                     console.error('ERROR: --activate requires a value (e.g., --activate=list)');
                     process.exit(1);
                 }
+            } else if (arg.startsWith('--explain=')) {
+                explainValue = arg.substring('--explain='.length);
+                explainScope = 'title';
+            } else if (arg.startsWith('--explain-text=')) {
+                // Allow multi-line snippets to be given on one line
+                explainValue = arg.substring('--explain-text='.length).replace(/\\n/g, '\n');
+                explainScope = 'text';
+            } else if (arg.startsWith('--on-collision=')) {
+                collisionStrategy = arg.substring('--on-collision='.length);
+                if (!STRATEGIES.includes(collisionStrategy)) {
+                    console.error(`ERROR: --on-collision must be one of ${STRATEGIES.join(', ')}`);
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--collision-suffix=')) {
+                collisionSuffix = arg.substring('--collision-suffix='.length);
+                if (!collisionSuffix.includes('{n}')) {
+                    console.error('ERROR: --collision-suffix must contain {n} (e.g., --collision-suffix=" ({n})")');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--keep-revisions=')) {
+                const value = arg.substring('--keep-revisions='.length);
+                if (value === 'all') {
+                    keepRevisions = null;
+                } else if (value === 'latest') {
+                    keepRevisions = 1;
+                } else if (/^[1-9]\d*$/.test(value)) {
+                    keepRevisions = parseInt(value, 10);
+                } else {
+                    console.error('ERROR: --keep-revisions requires a positive number, "latest" or "all" (e.g., --keep-revisions=5)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--rewrite-revisions=')) {
+                rewriteRevisions = arg.substring('--rewrite-revisions='.length);
+                if (!['all', 'head'].includes(rewriteRevisions)) {
+                    console.error('ERROR: --rewrite-revisions must be one of all, head');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--templates=')) {
+                templatesPath = path.resolve(arg.substring('--templates='.length));
+            } else if (arg.startsWith('--sparql=')) {
+                sparqlPath = path.resolve(arg.substring('--sparql='.length));
+            } else if (arg.startsWith('--plugins=')) {
+                pluginsPath = path.resolve(arg.substring('--plugins='.length));
+            } else if (arg.startsWith('--target-namespaces=')) {
+                targetNamespacesPath = path.resolve(arg.substring('--target-namespaces='.length));
+            } else if (arg.startsWith('--contributors=')) {
+                contributorsPath = path.resolve(arg.substring('--contributors='.length));
+            } else if (arg.startsWith('--discarded=')) {
+                discardedMode = arg.substring('--discarded='.length);
+                if (!DISCARDED_MODES.includes(discardedMode)) {
+                    console.error(`ERROR: --discarded must be one of ${DISCARDED_MODES.join(', ')}`);
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--max-bytes=')) {
+                maxBytes = parseSize(arg.substring('--max-bytes='.length));
+                if (!maxBytes) {
+                    console.error('ERROR: --max-bytes requires a size (e.g., --max-bytes=95M)');
+                    process.exit(1);
+                }
+                splitMode = true;
+            } else if (arg.startsWith('--jobs=')) {
+                jobs = parseInt(arg.substring('--jobs='.length), 10);
+                if (!(jobs > 0)) {
+                    console.error('ERROR: --jobs requires a positive number (e.g., --jobs=4)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--max-pages=')) {
+                maxPages = parseInt(arg.substring('--max-pages='.length), 10);
+                if (!(maxPages > 0)) {
+                    console.error('ERROR: --max-pages requires a positive number (e.g., --max-pages=500)');
+                    process.exit(1);
+                }
+                splitMode = true;
+            } else if (arg.startsWith('--diff=')) {
+                diffPath = arg.substring('--diff='.length);
+                if (!diffPath) {
+                    console.error('ERROR: --diff requires a file name (e.g., --diff=changes.patch)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--report=')) {
+                const reportPath = arg.substring('--report='.length);
+                if (!reportPath) {
+                    console.error('ERROR: --report requires a file name (e.g., --report=report.json)');
+                    process.exit(1);
+                }
+                reportPaths.push(reportPath);
+            } else if (arg.startsWith('--constructs=')) {
+                constructsPath = arg.substring('--constructs='.length);
+                if (!constructsPath) {
+                    console.error('ERROR: --constructs requires a file name (e.g., --constructs=constructs.json)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--red-links=')) {
+                redLinksPath = arg.substring('--red-links='.length);
+                if (!redLinksPath) {
+                    console.error('ERROR: --red-links requires a file name (e.g., --red-links=red-links.json)');
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--existing-titles=')) {
+                existingTitlesPath = path.resolve(arg.substring('--existing-titles='.length));
+                if (!fs.existsSync(existingTitlesPath)) {
+                    console.error(`ERROR: --existing-titles file not found: ${existingTitlesPath}`);
+                    process.exit(1);
+                }
+            } else if (arg.startsWith('--target-constructs=')) {
+                targetConstructsPath = path.resolve(arg.substring('--target-constructs='.length));
+            } else if (arg.startsWith('--diff-rule=')) {
+                const index = arg.substring('--diff-rule='.length).replace(/^#/, '');
+                if (!/^\d+$/.test(index)) {
+                    console.error('ERROR: --diff-rule requires a rule number (e.g., --diff-rule=12)');
+                    process.exit(1);
+                }
+                diffRules.add(parseInt(index, 10));
+            } else if (arg.startsWith('--diff-namespace=')) {
+                const name = arg.substring('--diff-namespace='.length);
+                const namespace = findNamespace(name);
+                if (!namespace && name.toLowerCase() !== 'main') {
+                    console.error(`ERROR: Unknown namespace for --diff-namespace: ${name}`);
+                    process.exit(1);
+                }
+                diffNamespaces.add(namespace ? namespace.name : null);
             } else {
                 console.error(`Unknown option: ${arg}`);
                 console.error('Use --help for usage information');
@@ -99,167 +411,201 @@ for (const arg of args) {
     }
 }
 
+// Only a snapshot of the titles of Commons tells which old titles are free to redirect from
+if (redirectOldTitles && !existingTitlesPath) {
+    console.error('ERROR: --redirect-old-titles requires --existing-titles, so that no page of Commons is overwritten');
+    process.exit(1);
+}
+
 // Load replacement rules
 const rulesPath = path.join(__dirname, 'json', 'replaces.json');
 let rules;
 
 try {
-    const rulesContent = fs.readFileSync(rulesPath, 'utf8');
-    rules = JSON.parse(rulesContent).rules;
+    rules = loadRules(rulesPath);
 } catch (error) {
     console.error(`ERROR: Failed to load ${rulesPath}`);
     console.error(error.message);
     process.exit(1);
 }
 
+const unknownDiffRules = Array.from(diffRules).filter(index => !rules.some(rule => rule.index === index));
+if (unknownDiffRules.length > 0) {
+    console.error(`ERROR: --diff-rule: replaces.json has no rule #${unknownDiffRules.join(', #')} (rules go from #1 to #${rules.length})`);
+    process.exit(1);
+}
+
+// Load the template mapping
+let templateMap;
+try {
+    templateMap = loadTemplateMap(templatesPath);
+} catch (error) {
+    console.error(`ERROR: Failed to load ${templatesPath}`);
+    console.error(error.message);
+    process.exit(1);
+}
+
+// The keep-list of js/template.js decides which templates are migrated: an entry that keeps the name
+// of a template it does not migrate would leave calls to a missing page
+const unmigrated = unmigratedTemplates(templateMap);
+if (unmigrated.length > 0) {
+    console.error(`ERROR: ${path.basename(templatesPath)} maps templates that js/template.js does not migrate, without renaming them: ${unmigrated.join(', ')}`);
+    console.error('Add them to the keep-list of js/template.js, or give them the "rename" of a template that Commons has');
+    process.exit(1);
+}
+
+// Load the SPARQL mapping
+let sparqlMap;
+try {
+    sparqlMap = loadSparqlMap(sparqlPath);
+} catch (error) {
+    console.error(`ERROR: Failed to load ${sparqlPath}`);
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Load the transform plugins
+let plugins;
+try {
+    plugins = loadPlugins(pluginsPath);
+} catch (error) {
+    console.error(`ERROR: Failed to load ${pluginsPath}`);
+    console.error(error.message);
+    process.exit(1);
+}
+
+const { transformTitle, transformTarget, cleanPage } = createCleaner(rules, activatedFeatures, { headOnly: rewriteRevisions === 'head', templateMap, sparqlMap, plugins });
+
 // Test suite - runs when --test flag is used
 if (testMode) {
-    console.log('Testing replaces.json patterns:\n');
-    
-    const testCases = [
-        { input: '[[:c:Lingua Libre/List]]', expects: '[[Lingua Libre/List]]' },
-        { input: '[[:Commons:Lingua Libre/List]]', expects: '[[Lingua Libre/List]]' },
-        { input: '[[:commons:Lingua Libre/List]]', expects: '[[Lingua Libre/List]]' },
-        { input: '[[Special:RecordWizard]]', expects: '[[:lingualibre:Special:RecordWizard]]' },
-        { input: '<title>Category:Tool</title>', expects: '<title>Category:Lingua Libre tool</title>' },
-        { input: '<title>Category:Speakers in fra</title>', expects: '<title>Category:Voice contributors in fra</title>' },
-        { input: '<title>Help:SPARQL</title>', expects: '<title>Help:Lingua Libre/SPARQL</title>' },
-        { input: '<title>List:Fra/Animals</title>', expects: '<title>Commons:Lingua Libre/List/Fra/Animals</title>' },
-        { input: '<title>Welcome/</title>', expects: '<title>Welcome-LL/</title>' },
-        // Additional edge cases
-        { input: '<title>LinguaLibre:Main Page</title>', expects: '<title>Commons:Lingua Libre/Main Page</title>' },
-        { input: '<title>User:Example</title>', expects: '<title>User:Example</title>' },
-        { input: '<title>Template:Example</title>', expects: '<title>Template:Example</title>' },
-        { input: '<title>Translations:Something</title>', expects: '<title>Translations:Something</title>' },
-        { input: '=Speakers in English=', expects: '=Voice contributors in English=' },
-        { input: `{| style="width:100%" 
-|- style="vertical-align:top;"
-|style="padding: 0 3em;width:60%"|
-<syntaxhighlight lang="sparql">
-SELECT ?speaker (COUNT(?audio) AS ?audio)
-WHERE { ?speaker prop:P2 entity:Q3  # Add labels : }
-ORDER BY DESC (?audio)
-</syntaxhighlight>
-|
-<query _pagination="10" item="Property" itemLabel="Values">
-SELECT ?speaker (COUNT(?audio) AS ?audio)
-WHERE { ?speaker prop:P2 entity:Q3  # Add labels : }
-ORDER BY DESC (?audio)
-</query>
-|}`,
-            expects: `{{SPARQL|query=
-SELECT ?speaker (COUNT(?audio) AS ?audio)
-WHERE { ?speaker prop:P2 entity:Q3  # Add labels : }
-ORDER BY DESC (?audio)
-}}` },
-        { input: `<text bytes="37" sha1="ki0q0lz9v78h5i2lfxsuvb8lm5ur8c7" xml:space="preserve">Blabla</text>`, 
-            expects: activatedFeatures.has('list') ? `<text bytes="37" sha1="ki0q0lz9v78h5i2lfxsuvb8lm5ur8c7" xml:space="preserve">{{Lingua Libre list
-|code=
-|quality=
-|method=
-|items=word
-|dictionary=false
-}}
-
-# Blabla</text>` : `<text bytes="37" sha1="ki0q0lz9v78h5i2lfxsuvb8lm5ur8c7" xml:space="preserve">Blabla</text>` },
-        { input: '[https://lingualibre.org/index.php?title=Special:RecordWizard&amp;oldid=123456 RecordWizard]', 
-            expects: '[[Special:RecordWizard|RecordWizard]]' },
-        { input: '[https://commons.org/w/index.php?title=Commons:Lingua_Libre&amp;oldid=789 Lingua Libre]', 
-            expects: '[[Commons:Lingua_Libre|Lingua Libre]]' },
-        { input: 'Template:Speaker of the month', expects: 'Template:Voice contributor of the month' },
-        // Line-by-line processing tests (requires --activate=list)
-        { input: '<text>* apple\n* banana\n* cherry</text>', 
-            expects: activatedFeatures.has('list') ? `<text>{{Lingua Libre list
-|code=
-|quality=
-|method=
-|items=word
-|dictionary=false
-}}
-
-# apple
-# banana
-# cherry</text>` : '<text>* apple\n* banana\n* cherry</text>' },
-        { input: '<text>  word1\n  word2\n  word3</text>', 
-            expects: activatedFeatures.has('list') ? `<text>{{Lingua Libre list
-|code=
-|quality=
-|method=
-|items=word
-|dictionary=false
-}}
-
-# word1
-# word2
-# word3</text>` : '<text>  word1\n  word2\n  word3</text>' },
-        { input: '<text>*word1\n  word2\n* word3</text>', 
-            expects: activatedFeatures.has('list') ? `<text>{{Lingua Libre list
-|code=
-|quality=
-|method=
-|items=word
-|dictionary=false
-}}
-
-# word1
-# word2
-# word3</text>` : '<text>*word1\n  word2\n* word3</text>' },
-    ];
-    
-    // Apply all rules to text (both content and rename)
-    function applyTestRules(text) {
-        let result = text;
-        for (const rule of rules) {
-            // Skip rules that have a 'requires' field if that feature is not activated
-            if (rule.requires && !activatedFeatures.has(rule.requires)) {
-                continue;
-            }
-            const flags = rule.flags || 'g';
-            const regex = new RegExp(rule.match, flags);
-            // Convert escaped newlines in replacement string to actual newlines
-            const replacement = rule.replace.replace(/\\n/g, '\n');
-            
-            // Check if this rule should process line-by-line
-            if (rule.process === 'lineByLine') {
-                // Process line-by-line within <text> elements
-                result = result.replace(/(<text[^>]*>)([\s\S]*?)(<\/text>)/g, (match, openTag, textContent, closeTag) => {
-                    const lines = textContent.split('\n');
-                    const processedLines = lines.map(line => line.replace(regex, replacement));
-                    return openTag + processedLines.join('\n') + closeTag;
-                });
-            } else {
-                // Normal replacement
-                result = result.replace(regex, replacement);
-            }
-        }
-        return result;
+    const testsPath = path.join(__dirname, 'json', 'replaces.tests.json');
+    let fixtures;
+    try {
+        fixtures = loadFixtures(testsPath);
+    } catch (error) {
+        console.error(`ERROR: Failed to load ${testsPath}`);
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    // Plugins of the fixtures that give their own, by fixture
+    const fixturePlugins = new Map();
+    try {
+        fixtures.filter(fixture => fixture.plugins).forEach(fixture => fixturePlugins.set(fixture, compilePlugins(fixture.plugins)));
+    } catch (error) {
+        console.error(`ERROR: Failed to load the plugins of a fixture of ${testsPath}`);
+        console.error(error.message);
+        process.exit(1);
     }
-    
-    // Run tests
+
+    // Every fixture runs under every feature combination, unless --activate picks one
+    const combinations = activatedFeatures.size > 0 ? [activatedFeatures] : featureCombinations(rules);
+    const firedRules = new Set();
     let passed = 0;
     let failed = 0;
-    
-    testCases.forEach((test, index) => {
-        const result = applyTestRules(test.input);
-        const success = result === test.expects;
-        
-        if (success) {
-            passed++;
-            console.log(`✅ Test ${index + 1}: PASS`);
-        } else {
-            failed++;
-            console.log(`❌ Test ${index + 1}: FAIL`);
-            // Show details only for failed tests
-        }  
-        console.log(`   Input:    ${test.input}`);
-        console.log(`   Expects:  ${test.expects}`);
-        console.log(`   Got:      ${result}`);
-    });
-    
-    console.log(`\n${passed}/${testCases.length} tests passed`);
+
+    for (const features of combinations) {
+        const cleaner = createCleaner(rules, features, { templateMap, sparqlMap, plugins });
+        console.log(`Testing replaces.json patterns (--activate: ${featureKey(features) || 'none'}):\n`);
+
+        fixtures.forEach((fixture, index) => {
+            const stats = new Map();
+            const expects = expectedFor(fixture, features);
+            const fixtureCleaner = fixturePlugins.has(fixture)
+                ? createCleaner(rules, features, { templateMap, sparqlMap, plugins: fixturePlugins.get(fixture) })
+                : cleaner;
+            const result = runFixture(fixture, fixtureCleaner, stats);
+            stats.forEach((count, rule) => firedRules.add(rule));
+
+            if (result === expects) {
+                passed++;
+                console.log(`✅ Test ${index + 1} [${fixture.scope}]: PASS`);
+            } else {
+                failed++;
+                console.log(`❌ Test ${index + 1} [${fixture.scope}]: FAIL`);
+            }
+            console.log(`   Input:    ${fixture.input}`);
+            console.log(`   Expects:  ${expects}`);
+            console.log(`   Got:      ${result}`);
+        });
+        console.log('');
+    }
+
+    // Coverage - rules that no fixture exercises under any combination
+    const uncoveredRules = rules.filter(rule => !firedRules.has(rule));
+    console.log(`Rule coverage: ${rules.length - uncoveredRules.length}/${rules.length} rules exercised by a fixture`);
+    uncoveredRules.forEach(rule => console.log(`   No fixture: Rule ${label(rule)} [${Array.from(rule.scopes).join(', ')}]`));
+    plugins.filter(plugin => !firedRules.has(plugin))
+        .forEach(plugin => console.log(`   No fixture: Plugin "${plugin.match}" [${plugin.stage}]`));
+
+    console.log(`\n${passed}/${passed + failed} tests passed`);
     process.exit(failed > 0 ? 1 : 0);
 }
 
+// Explain mode - traces the rules fired on one title or snippet
+if (explainValue !== null) {
+    const { result, steps } = explain(explainValue, explainScope, rules, activatedFeatures, templateMap);
+    console.log(`Explaining ${explainScope}: ${explainValue}\n`);
+    if (steps.length === 0) {
+        console.log('No rule fired.');
+    }
+    steps.forEach((step, index) => {
+        console.log(`${index + 1}. [${step.stage}] Rule ${label(step.rule)} -> "${step.rule.replace}" (${step.count} replacements)`);
+        console.log(`   Before:   ${step.before}`);
+        console.log(`   After:    ${step.after}`);
+    });
+    console.log(`\nResult: ${result}`);
+    process.exit(0);
+}
+
+// Analyze mode - static checks of the rule set
+if (analyzeMode) {
+    const findings = analyzeRules(rules, activatedFeatures);
+    console.log(`Analyzing ${rules.length} rules of replaces.json:\n`);
+    findings.forEach(finding => {
+        console.log(`⚠️  ${finding.type} [${finding.scope}] Rule ${label(finding.rule)}`);
+        console.log(`   ${finding.message}`);
+    });
+    console.log(`\n${findings.length} issues found`);
+    process.exit(findings.length > 0 ? 1 : 0);
+}
+
+// Load the namespace table of the target wiki
+let targetNamespaces;
+try {
+    targetNamespaces = loadTargetNamespaces(targetNamespacesPath);
+} catch (error) {
+    console.error(`ERROR: Failed to load ${targetNamespacesPath}`);
+    console.error(error.message);
+    process.exit(1);
+}
+
+// Load the constructs the target wiki supports, for --constructs
+let supportedConstructs = null;
+if (constructsPath) {
+    try {
+        supportedConstructs = loadSupportedConstructs(targetConstructsPath);
+    } catch (error) {
+        console.error(`ERROR: Failed to load ${targetConstructsPath}`);
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+
+// Load the contributor mapping
+let contributorMap = null;
+if (contributorsPath) {
+    try {
+        contributorMap = loadContributorMap(contributorsPath);
+    } catch (error) {
+        console.error(`ERROR: Failed to load ${contributorsPath}`);
+        console.error(error.message);
+        process.exit(1);
+    }
+}
+// Revision counts of the contributors that the mapping does not list
+const unmappedContributors = new Map();
+
 // Check if xml directory exists
 const xmlDir = path.join(__dirname, 'xml');
 if (!fs.existsSync(xmlDir)) {
@@ -279,9 +625,13 @@ if (xmlFiles.length === 0) {
 
 // Create output directory
 const outputDir = path.join(__dirname, 'output');
+const discardedDir = path.join(outputDir, 'discarded');
 if (!dryRun && !fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
 }
+if (!dryRun && discardedMode === 'separate' && !fs.existsSync(discardedDir)) {
+    fs.mkdirSync(discardedDir);
+}
 
 if (!quiet) {
     if (dryRun) {
@@ -294,135 +644,797 @@ if (!quiet) {
     }
 }
 
-// Apply rules to content
-function applyRules(content, filename) {
-    let modified = content;
-    let changesCount = 0;
-    const changes = [];
+// Title overrides and merge groups decided from the collisions found before processing
+let finalTitles = new Map();
+let mergeGroups = new Map();
+// Pages of merge groups waiting for the other members of their group, by first title of the group
+const pendingMerges = new Map();
+const diffReport = diffPath ? createDiffReport(diffPath) : null;
+const runReports = reportPaths.map(reportPath => createRunReport(reportPath));
+const constructInventory = supportedConstructs ? createConstructInventory(supportedConstructs) : null;
+// Targets of the links of the written pages, once every new title is known
+let redLinkFinder = null;
+// Redirects of the dumps, and those left out because the page they finally point to is not migrated,
+// by normalized original title
+let redirects = new Map();
+const droppedRedirects = new Set();
+// Title every written page is finally written under, by normalized original title
+let writtenTitles = new Map();
+// Old titles of renamed pages that --redirect-old-titles turns into redirects, by original title
+let oldTitleRedirects = new Map();
+// Page and revision ids of the next redirect created from an old title, above those of the dumps
+let nextRedirectIds = null;
+const redirectCounts = { retargeted: 0, collapsed: 0, loops: 0, created: 0 };
+// The output of a previous run in the other mode would be taken for that of this run: chunks of
+// a --split run, or the cleaned copies of the dumps of a run without it
+if (!dryRun) {
+    const removed = removeChunks(outputDir);
+    if (removed > 0 && verbose) {
+        console.log(`Removed ${removed} files of the previous --split run`);
+    }
+    const dumpOutputs = splitMode
+        ? xmlFiles.map(file => path.join(outputDir, path.basename(file))).filter(file => fs.existsSync(file))
+        : [];
+    dumpOutputs.forEach(file => fs.unlinkSync(file));
+    if (dumpOutputs.length > 0 && verbose) {
+        console.log(`Removed ${dumpOutputs.length} files of the previous run without --split`);
+    }
+}
+// Dumps written by this run, the only ones validated
+const writtenFiles = [];
+// Receives the pages of every dump with --split, instead of one output file per dump
+const chunkWriter = splitMode ? createChunkWriter(outputDir, { maxBytes, maxPages, write: !dryRun, targetNamespaces }) : null;
+
+// Hash of everything the cleaning of a page depends on besides its own XML, for --incremental
+function cleaningConfig() {
+    const listFiles = dir => fs.readdirSync(path.join(__dirname, dir))
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .map(file => path.join(__dirname, dir, file));
+    return hashText(JSON.stringify({
+        rules: rules.filter(rule => isActive(rule, activatedFeatures))
+            .map(rule => [rule.index, rule.match, rule.flags, rule.replace, Array.from(rule.scopes), rule.process, rule.requires]),
+        templates: Array.from(templateMap.values(), mapping => ({ ...mapping, params: Array.from(mapping.params) })),
+        sparql: [sparqlMap.prefixes, sparqlMap.properties, sparqlMap.items].map(map => Array.from(map)),
+        plugins: plugins.map(plugin => [plugin.match, plugin.stage, plugin.options, hashFiles([plugin.module])]),
+        keepRevisions,
+        rewriteRevisions,
+        // Namespace cleaners decide which links are reported, lib/ how pages are cleaned
+        code: hashFiles(listFiles('lib').concat(listFiles('js'), [path.join(__dirname, 'json', 'namespaces.json')]))
+    }));
+}
 
-    for (const rule of rules) {
-        // Skip rules that have a 'requires' field if that feature is not activated
-        if (rule.requires && !activatedFeatures.has(rule.requires)) {
-            continue;
+const pageCache = incremental ? createPageCache(path.join(__dirname, '.cache', 'clean-xml'), cleaningConfig(), dryRun) : null;
+// Rules and mapping entries by their key in the cache
+const rulesByKey = new Map(rules.concat(Array.from(templateMap.values()), [sparqlMap], plugins, [CATEGORY_CLEANER])
+    .map(rule => [ruleKey(rule), rule]));
+if (pageCache && !quiet) {
+    if (pageCache.status === 'none') {
+        console.log('No cache of a previous --incremental run: every page is cleaned');
+    } else if (pageCache.status === 'stale') {
+        console.log('Rules, mappings, plugins or code changed since the last --incremental run: every page is cleaned again');
+    }
+}
+
+// Worker threads cleaning pages with --jobs, the main thread reading and writing the dumps
+const cleanPool = jobs > 1
+    ? createCleanPool(jobs, { rules, activatedFeatures, headOnly: rewriteRevisions === 'head', templateMap, sparqlMap, pluginsPath, keepRevisions })
+    : null;
+// Pages sent to the workers ahead of their turn, so that none of them waits
+const lookahead = jobs > 1 ? jobs * 8 : 0;
+
+// Whether a page goes to the output: neither discarded by its namespace cleaner nor a redirect to such a page
+function isWritten(title) {
+    return discardedMode === 'keep' || (!isDiscarded(title) && !droppedRedirects.has(normalizeTitle(title) || title));
+}
+
+// Whether a page goes in the diff report, given its original title and the rules fired on it
+function matchesDiffFilters(title, pageStats) {
+    if (diffRules.size > 0 && !Array.from(pageStats.keys()).some(rule => diffRules.has(rule.index))) {
+        return false;
+    }
+    if (diffNamespaces.size > 0) {
+        const namespace = splitTitle(title).namespace;
+        return diffNamespaces.has(namespace ? namespace.name : null);
+    }
+    return true;
+}
+
+// UTF-8 size of the latest wikitext of a parsed page
+function wikitextBytes(page) {
+    const head = headRevision(page.revisions);
+    return head ? Buffer.byteLength(getTextContent(head.text), 'utf8') : 0;
+}
+
+// Add a page to the --report files, newPage being null when its namespace cleaner discards it
+async function reportPage(file, title, bytesBefore, newPage, pageStats, warnings) {
+    const namespace = splitTitle(title).namespace;
+    const record = {
+        file: path.basename(file),
+        title,
+        namespace: namespace ? namespace.name : '',
+        kept: newPage !== null,
+        newTitle: newPage ? newPage.title : null,
+        newNamespace: newPage ? targetNamespace(newPage.title, targetNamespaces).name || '' : null,
+        bytesBefore,
+        bytesAfter: newPage ? wikitextBytes(newPage) : null,
+        rules: pageStats,
+        warnings
+    };
+    for (const runReport of runReports) {
+        await runReport.addPage(record);
+    }
+}
+
+// Read the chunks of a dump, each page with its hash and cached cleaning (--incremental) or the
+// promise of its cleaning by a worker (--jobs)
+async function* readCleanedChunks(file) {
+    const dump = path.basename(file);
+    const queue = [];
+    for await (const chunk of readPages(file)) {
+        const item = { chunk, input: null, cached: null, cleaned: null };
+        if (chunk.type === 'page') {
+            const title = getElement(chunk.xml, 'title') || '';
+            item.input = pageCache ? hashText(chunk.xml) : null;
+            item.cached = pageCache ? pageCache.get(dump, title, item.input) : null;
+            if (cleanPool && !item.cached && isWritten(title)) {
+                item.cleaned = cleanPool.clean(chunk.xml);
+                // A failure is raised when the turn of the page comes
+                item.cleaned.catch(() => {});
+            }
         }
-        try {
-            // Get flags from rule or default to 'g'
-            const flags = rule.flags || 'g';
-            const regex = new RegExp(rule.match, flags);
-            const before = modified;
-            // Convert escaped newlines in replacement string to actual newlines
-            const replacement = rule.replace.replace(/\\n/g, '\n');
-            
-            // Check if this rule should process line-by-line
-            if (rule.process === 'lineByLine') {
-                // Process line-by-line within <text> elements
-                modified = modified.replace(/(<text[^>]*>)([\s\S]*?)(<\/text>)/g, (match, openTag, textContent, closeTag) => {
-                    // Split content into lines
-                    const lines = textContent.split('\n');
-                    let lineChanges = 0;
-                    
-                    // Apply regex to each line
-                    const processedLines = lines.map(line => {
-                        const lineBefore = line;
-                        const lineAfter = line.replace(regex, replacement);
-                        if (lineBefore !== lineAfter) {
-                            lineChanges++;
-                        }
-                        return lineAfter;
-                    });
-                    
-                    if (lineChanges > 0) {
-                        changesCount += lineChanges;
+        queue.push(item);
+        if (queue.length > lookahead) {
+            yield queue.shift();
+        }
+    }
+    yield* queue;
+}
+
+// Stream one XML file page by page, writing the cleaned copy to outputPath (unless dry run or --split)
+async function processFile(file, outputPath) {
+    const stats = new Map();
+    const discardedLinks = new Map();
+    const untranslatedQueries = new Map();
+    const discardedPages = [];
+    // Redirects to pages that are not migrated, left out like discarded pages
+    const brokenRedirects = [];
+    let pagesCount = 0;
+    let reusedCount = 0;
+    // Write to a temporary file so that a failed run never leaves a truncated dump in ./output
+    const tempPath = `${outputPath}.tmp`;
+    const output = dryRun || chunkWriter ? null : createOutput(tempPath);
+    // Discarded pages set aside by --discarded=separate, in a dump of their own
+    const discardedPath = path.join(discardedDir, path.basename(outputPath));
+    const discardedOutput = !dryRun && discardedMode === 'separate' ? createOutput(`${discardedPath}.tmp`) : null;
+
+    try {
+        for await (const { chunk, input, cached, cleaned } of readCleanedChunks(file)) {
+            let xml = chunk.xml;
+            if (chunk.type === 'page') {
+                const page = parsePage(xml);
+                const originalTitle = page.title;
+                if (keepRevisions) {
+                    page.revisions = latestRevisions(page.revisions, keepRevisions);
+                }
+                const bytesBefore = runReports.length > 0 ? wikitextBytes(page) : 0;
+                const originalHead = headRevision(page.revisions);
+                const headText = originalHead && originalHead.text ? originalHead.text : '';
+                if (!isWritten(originalTitle)) {
+                    const redirect = isDiscarded(originalTitle) ? null : resolveRedirect(originalTitle, redirects);
+                    (redirect ? brokenRedirects : discardedPages).push(originalTitle);
+                    if (constructInventory) {
+                        constructInventory.addPage(originalTitle, headText, null);
                     }
-                    
-                    // Rejoin lines
-                    return openTag + processedLines.join('\n') + closeTag;
+                    if (runReports.length > 0) {
+                        const warnings = redirect ? [`Redirect to a page that is not migrated: [[${redirect.target}]]`] : [];
+                        await reportPage(file, originalTitle, bytesBefore, null, new Map(), warnings);
+                    }
+                    if (discardedOutput) {
+                        await discardedOutput.write(xml);
+                    }
+                    continue;
+                }
+                const originalTexts = page.revisions.map(revision => revision.text);
+                const pageStats = new Map();
+                const pageLinks = new Map();
+                const pageQueries = new Map();
+                // With --incremental, a page read as it was last time is not cleaned again,
+                // with --jobs, a worker has cleaned it
+                const dump = path.basename(file);
+                const result = cached || (cleaned ? await cleaned : null);
+                if (result) {
+                    Object.assign(page, parsePage(result.xml));
+                    Object.entries(result.rules).forEach(([key, count]) => pageStats.set(rulesByKey.get(key), count));
+                    result.links.forEach(target => pageLinks.set(target, new Set([originalTitle])));
+                    if (result.queries.length > 0) {
+                        pageQueries.set(originalTitle, new Set(result.queries));
+                    }
+                    reusedCount += cached ? 1 : 0;
+                } else {
+                    cleanPage(page, pageStats, pageLinks, pageQueries);
+                }
+                const cacheEntry = pageCache ? {
+                    input,
+                    output: null,
+                    xml: result ? result.xml : serializePage(page),
+                    rules: Object.fromEntries(Array.from(pageStats, ([rule, count]) => [ruleKey(rule), count])),
+                    links: Array.from(pageLinks.keys()),
+                    queries: Array.from(pageQueries.get(originalTitle) || [])
+                } : null;
+                pageStats.forEach((count, rule) => stats.set(rule, (stats.get(rule) || 0) + count));
+                pageLinks.forEach((titles, target) => {
+                    if (!discardedLinks.has(target)) {
+                        discardedLinks.set(target, new Set());
+                    }
+                    titles.forEach(title => discardedLinks.get(target).add(title));
                 });
-                
-                if (before !== modified && verbose) {
-                    changes.push(`  Rule (lineByLine): ${rule.match.substring(0, 50)}... -> ${changesCount} line replacements`);
+                pageQueries.forEach((problems, title) => untranslatedQueries.set(title, problems));
+                pagesCount++;
+                if (contributorMap) {
+                    mapContributors(page.revisions, contributorMap, unmappedContributors);
+                }
+
+                if (finalTitles.has(originalTitle)) {
+                    page.title = finalTitles.get(originalTitle);
+                }
+                // The page may have moved to another namespace, and ids differ between wikis
+                page.ns = String(targetNamespace(page.title, targetNamespaces).id);
+                // Redirects point to the title their final target is written under, which the rules do not know
+                const redirect = resolveRedirect(originalTitle, redirects);
+                if (redirect) {
+                    redirectCounts.loops += redirect.loop ? 1 : 0;
+                    const target = writtenTitles.get(normalizeTitle(redirect.target) || redirect.target) || transformTarget(redirect.target);
+                    if (setRedirectTarget(page, target, redirect.anchor)) {
+                        redirectCounts.retargeted++;
+                        redirectCounts.collapsed += redirect.hops > 1 ? 1 : 0;
+                    }
+                }
+                if (redLinkFinder) {
+                    const head = headRevision(page.revisions);
+                    redLinkFinder.addPage(page.title, originalTitle, head && head.text ? head.text : '');
+                }
+                if (cacheEntry) {
+                    cacheEntry.output = hashText(serializePage(page));
+                    pageCache.set(dump, originalTitle, cacheEntry);
+                }
+                if (diffReport && matchesDiffFilters(originalTitle, pageStats)) {
+                    await diffReport.addPage({
+                        oldTitle: originalTitle,
+                        newTitle: page.title,
+                        rules: Array.from(pageStats.keys()).sort((a, b) => a.index - b.index),
+                        revisions: page.revisions.map((revision, index) => ({
+                            label: `revision ${getElement(revision.before, 'id') || index + 1}`,
+                            oldText: getTextContent(originalTexts[index]),
+                            newText: getTextContent(revision.text)
+                        }))
+                    });
+                }
+                if (constructInventory) {
+                    const head = headRevision(page.revisions);
+                    constructInventory.addPage(originalTitle, headText, head && head.text ? head.text : '');
+                }
+                if (runReports.length > 0) {
+                    const warnings = Array.from(pageLinks.keys(), target => `Link to a discarded page: [[${target}]]`)
+                        .concat(Array.from(pageQueries.get(originalTitle) || [], problem => `SPARQL query left as written: ${problem}`));
+                    if (mergeGroups.has(originalTitle)) {
+                        warnings.push(`Merged with ${mergeGroups.get(originalTitle).filter(title => title !== originalTitle).join(', ')}`);
+                    }
+                    if (redirect && redirect.loop) {
+                        warnings.push(`Redirect loop, to break by hand: [[${redirect.target}]]`);
+                    }
+                    await reportPage(file, originalTitle, bytesBefore, page, pageStats, warnings);
+                }
+                let outputPage = page;
+                if (mergeGroups.has(originalTitle)) {
+                    // Hold the page back until every page of its group has been seen
+                    const group = mergeGroups.get(originalTitle);
+                    if (!pendingMerges.has(group[0])) {
+                        pendingMerges.set(group[0], new Map());
+                    }
+                    const pending = pendingMerges.get(group[0]);
+                    pending.set(originalTitle, page);
+                    if (pending.size < group.length) {
+                        continue;
+                    }
+                    pendingMerges.delete(group[0]);
+                    outputPage = mergePages(group.map(title => pending.get(title)));
+                    if (keepRevisions) {
+                        outputPage.revisions = latestRevisions(outputPage.revisions, keepRevisions);
+                    }
                 }
+                xml = serializePage(outputPage);
+                // Redirects from the old titles of the page, or of every page merged into it, follow it
+                const createdRedirects = (mergeGroups.get(originalTitle) || [originalTitle])
+                    .filter(title => oldTitleRedirects.has(title))
+                    .map(title => oldTitleRedirects.get(title))
+                    .map(oldTitle => ({
+                        title: oldTitle.title,
+                        xml: createRedirectPage(outputPage, oldTitle.title, oldTitle.namespace, { page: nextRedirectIds.page++, revision: nextRedirectIds.revision++ })
+                    }))
+                    .filter(created => created.xml !== null);
+                redirectCounts.created += createdRedirects.length;
+                if (chunkWriter) {
+                    await chunkWriter.addPage(xml, outputPage.title, file);
+                    for (const created of createdRedirects) {
+                        await chunkWriter.addPage(created.xml, created.title, file);
+                    }
+                    continue;
+                }
+                xml += createdRedirects.map(created => `\n  ${created.xml}`).join('');
             } else {
-                // Normal replacement
-                modified = modified.replace(regex, replacement);
-                
-                if (before !== modified) {
-                    const ruleChanges = (before.match(regex) || []).length;
-                    changesCount += ruleChanges;
-                    if (verbose) {
-                        changes.push(`  Rule: ${rule.match.substring(0, 50)}... -> ${ruleChanges} replacements`);
+                if (discardedOutput) {
+                    await discardedOutput.write(xml);
+                }
+                if (chunkWriter) {
+                    // Chunks get the header of the first dump and their own footer
+                    if (chunk.type === 'header') {
+                        chunkWriter.setHeader(xml);
                     }
+                    continue;
                 }
             }
-        } catch (error) {
-            console.error(`ERROR: Invalid regex pattern in rule: ${rule.match}`);
-            console.error(`  ${error.message}`);
+            if (output) {
+                await output.write(xml);
+            }
+        }
+    } catch (error) {
+        for (const [stream, streamPath] of [[output, tempPath], [discardedOutput, `${discardedPath}.tmp`]]) {
+            if (stream) {
+                await stream.end();
+                fs.unlinkSync(streamPath);
+            }
         }
-    
+        throw error;
     }
 
-    return { modified, changesCount, changes };
+    if (output) {
+        await output.end();
+        fs.renameSync(tempPath, outputPath);
+        writtenFiles.push(outputPath);
+    }
+    if (discardedOutput) {
+        await discardedOutput.end();
+        // A dump without pages is of no use for review
+        if (discardedPages.length + brokenRedirects.length > 0) {
+            fs.renameSync(`${discardedPath}.tmp`, discardedPath);
+            writtenFiles.push(discardedPath);
+        } else {
+            fs.unlinkSync(`${discardedPath}.tmp`);
+        }
+    }
+    return { stats, discardedLinks, untranslatedQueries, discardedPages, brokenRedirects, pagesCount, reusedCount };
 }
 
-// Process each XML file
-let totalChanges = 0;
+// Print title collision groups, one per line
+function logCollisions(log, collisions) {
+    for (const { newTitle, titles } of collisions) {
+        log(`  ${newTitle} <- ${titles.join(', ')}`);
+    }
+}
+
+// Find pages whose new titles collide and decide what to do with them, before writing anything,
+// and return the new title of every page to write
+async function checkCollisions() {
+    // Pages left out of the output cannot collide
+    const titleMap = await buildTitleMap(xmlFiles, title => transformTitle(title), isWritten);
+    const { collisions, caseCollisions } = findCollisions(titleMap);
 
-for (let i = 0; i < xmlFiles.length; i++) {
-    const file = xmlFiles[i];
-    const filename = path.basename(file);
-    
+    if (caseCollisions.length > 0 && !quiet) {
+        console.log(`WARNING: ${caseCollisions.length} new titles only differ by letter case:`);
+        logCollisions(console.log, caseCollisions);
+    }
+    if (collisions.length === 0) {
+        return titleMap;
+    }
+
+    if (collisionStrategy === 'fail') {
+        console.error(`ERROR: ${collisions.length} new titles are shared by several pages:`);
+        logCollisions(console.error, collisions);
+        console.error('Fix json/replaces.json or use --on-collision=report|suffix|merge');
+        process.exit(1);
+    }
+    if (!quiet) {
+        console.log(`WARNING: ${collisions.length} new titles are shared by several pages (--on-collision=${collisionStrategy}):`);
+        logCollisions(console.log, collisions);
+    }
+    ({ finalTitles, mergeGroups } = resolveCollisions(collisions, titleMap, collisionStrategy, collisionSuffix));
     if (verbose) {
-        console.log(`Processing (${i + 1}/${xmlFiles.length}): ${filename}`);
+        finalTitles.forEach((newTitle, title) => console.log(`  Renamed: ${title} -> ${newTitle}`));
     }
-    
-    try {
-        // Read the file
-        const content = fs.readFileSync(file, 'utf8');
+    return titleMap;
+}
+
+// Refuse the new titles that would land in the main namespace of the target wiki, prefix included,
+// because it does not have their namespace
+function checkTargetNamespaces(titleMap) {
+    const refused = [];
+    for (const [title, { newTitle }] of titleMap) {
+        const finalTitle = finalTitles.get(title) || newTitle;
+        const { missing } = targetNamespace(finalTitle, targetNamespaces);
+        if (missing) {
+            refused.push(`  ${finalTitle} (${missing}) <- ${title}`);
+        }
+    }
+    if (refused.length === 0) {
+        return;
+    }
+    console.error(`ERROR: ${refused.length} new titles are in Lingua Libre namespaces that ${targetNamespaces.wiki} does not have:`);
+    refused.forEach(line => console.error(line));
+    console.error('Rename them with json/replaces.json, or have the cleaner() of their namespace in js/*.js discard them');
+    process.exit(1);
+}
+
+// Read the redirects of the dumps and leave out those whose final target is not migrated, before
+// any title is computed
+async function checkRedirects() {
+    redirects = await indexRedirects(xmlFiles);
+    if (discardedMode === 'keep') {
+        return;
+    }
+    for (const [key, { title }] of redirects) {
+        const redirect = resolveRedirect(title, redirects);
+        if (!redirect.loop && isDiscarded(redirect.target)) {
+            droppedRedirects.add(key);
+        }
+    }
+}
+
+// Find the old titles of the written pages, as Commons would name them, that a redirect can take readers
+// from: renamed, in a namespace of Commons that takes such redirects, and neither taken by a written page
+// nor by a page of Commons. Redirects of the dumps already have one of their own.
+async function findOldTitleRedirects(titleMap) {
+    const taken = new Set();
+    for (const finalTitle of writtenTitles.values()) {
+        const canonical = canonicalTitle(finalTitle, targetNamespaces);
+        if (canonical) {
+            taken.add(canonical.title);
+        }
+    }
+    const candidates = new Map();
+    for (const title of titleMap.keys()) {
+        const oldTitle = canonicalTitle(title, targetNamespaces);
+        if (!oldTitle || taken.has(oldTitle.title) || NO_REDIRECT_NAMESPACES.includes(oldTitle.namespace)
+            || targetNamespace(title, targetNamespaces).missing || redirects.has(normalizeTitle(title) || title)) {
+            continue;
+        }
+        taken.add(oldTitle.title);
+        candidates.set(title, oldTitle);
+    }
+    const existing = await findExistingTitles(existingTitlesPath, new Set(Array.from(candidates.values(), oldTitle => oldTitle.title)), targetNamespaces);
+    return new Map(Array.from(candidates).filter(([, oldTitle]) => !existing.has(oldTitle.title)));
+}
+
+// Print the unit titles of each source page, one page per line
+function logUnits(groups) {
+    const lines = groups.map(({ page, units }) => `  ${page}: ${units.length} units (${units.slice(0, 3).join(', ')}${units.length > 3 ? ', ...' : ''})`);
+    lines.slice(0, 10).forEach(line => console.log(line));
+    if (lines.length > 10) {
+        console.log(`  ... and ${lines.length - 10} more pages`);
+    }
+}
+
+// Check that translation units follow their source page, and give them the title it finally gets
+async function checkTranslationUnits() {
+    const sources = await indexTranslations(xmlFiles);
+
+    // Sources renamed to resolve a collision take their units along
+    for (const source of sources.values()) {
+        if (source.title !== null && finalTitles.has(source.title)) {
+            for (const title of [].concat(...source.units.values())) {
+                if (!finalTitles.has(title)) {
+                    finalTitles.set(title, renameUnitTitle(title, () => finalTitles.get(source.title)));
+                }
+            }
+        }
+    }
+
+    if (quiet) {
+        return;
+    }
+    const { orphans, missing, stale } = checkTranslations(sources, isWritten);
+    if (orphans.length > 0) {
+        console.log(`WARNING: ${orphans.length} pages discarded by their namespace cleaner have translation units that would be orphaned:`);
+        if (verbose) {
+            logUnits(orphans);
+        }
+    }
+    if (missing.length > 0) {
+        console.log(`WARNING: ${missing.length} pages with translation units are not in the dumps:`);
+        if (verbose) {
+            logUnits(missing);
+        }
+    }
+    if (stale.length > 0) {
+        console.log(`WARNING: ${stale.length} pages no longer mark some of their translation units with <!--T:n-->:`);
+        if (verbose) {
+            logUnits(stale);
+        }
+    }
+}
+
+// Check the dumps this run wrote to ./output for well-formedness and the export schema, and return the number of broken files
+async function validateOutput() {
+    const files = writtenFiles.slice().sort();
+    if (verbose) {
+        console.log(`Validating ${files.length} files of ./output against the MediaWiki export schema...`);
+    }
+    let invalidCount = 0;
+    for (const file of files) {
+        // Set-aside dumps keep the Lingua Libre titles, checked against their own <siteinfo>
+        const namespaceId = path.dirname(file) === outputDir ? title => targetNamespace(title, targetNamespaces).id : null;
+        const errors = await validateFile(file, { namespaceId });
+        if (errors.length > 0) {
+            invalidCount++;
+            for (const { offset, line, title, message } of errors) {
+                console.error(`ERROR: ${path.relative(__dirname, file)}:${line} (byte ${offset})${title !== null ? `, page "${title}"` : ''}: ${message}`);
+            }
+        }
+    }
+    return invalidCount;
+}
+
+// Process each XML file
+async function main() {
+    let totalChanges = 0;
+    let totalDiscardedLinks = 0;
+    let totalUntranslatedQueries = 0;
+    let totalDiscardedPages = 0;
+    let totalBrokenRedirects = 0;
+    let totalReused = 0;
+
+    await checkRedirects();
+    const titleMap = await checkCollisions();
+    await checkTranslationUnits();
+    checkTargetNamespaces(titleMap);
+    writtenTitles = new Map(Array.from(titleMap, ([title, { newTitle }]) => [normalizeTitle(title) || title, finalTitles.get(title) || newTitle]));
+    if (redirectOldTitles) {
+        oldTitleRedirects = await findOldTitleRedirects(titleMap);
+        const highestIds = await findHighestIds(xmlFiles);
+        nextRedirectIds = { page: highestIds.page + 1, revision: highestIds.revision + 1 };
+    }
+    if (redLinksPath) {
+        redLinkFinder = createRedLinkFinder(targetNamespaces,
+            Array.from(writtenTitles.values()).concat(Array.from(oldTitleRedirects.values(), oldTitle => oldTitle.title)));
+    }
+
+    for (let i = 0; i < xmlFiles.length; i++) {
+        const file = xmlFiles[i];
+        const filename = path.basename(file);
         
-        // Apply rules
-        const { modified, changesCount, changes } = applyRules(content, filename);
+        if (verbose) {
+            console.log(`Processing (${i + 1}/${xmlFiles.length}): ${filename}`);
+        }
         
-        if (changesCount > 0) {
-            totalChanges += changesCount;
+        try {
+            const { stats, discardedLinks, untranslatedQueries, discardedPages, brokenRedirects, pagesCount, reusedCount } = await processFile(file, path.join(outputDir, filename));
+            totalReused += reusedCount;
+            if (reusedCount > 0 && verbose) {
+                console.log(`  Reused ${reusedCount} of ${pagesCount} pages from the cache`);
+            }
+            const changesCount = Array.from(stats.values()).reduce((sum, count) => sum + count, 0);
             
-            if (!quiet) {
-                console.log(`  ${dryRun ? 'Would apply' : 'Applied'} ${changesCount} changes`);
-                if (verbose && changes.length > 0) {
-                    changes.slice(0, 10).forEach(change => console.log(change));
-                    if (changes.length > 10) {
-                        console.log(`  ... and ${changes.length - 10} more changes`);
+            if (changesCount > 0) {
+                totalChanges += changesCount;
+                
+                if (!quiet) {
+                    console.log(`  ${dryRun ? 'Would apply' : 'Applied'} ${changesCount} changes in ${pagesCount} pages`);
+                    if (verbose) {
+                        const changes = Array.from(stats, ([rule, count]) => rule.process === 'lineByLine'
+                            ? `  Rule (lineByLine): ${rule.match.substring(0, 50)}... -> ${count} line replacements`
+                            : rule.process === 'list'
+                                ? `  Rule (list): ${rule.match.substring(0, 50)}... -> ${count} texts converted`
+                            : rule.process === 'template'
+                                ? `  Template: ${rule.match} -> ${rule.replace}: ${count} calls and titles rewritten`
+                            : rule.process === 'sparql'
+                                ? `  SPARQL: ${count} queries translated`
+                            : rule.process === 'plugin'
+                                ? `  Plugin: ${rule.match}: ${count} texts and summaries changed`
+                            : rule.process === 'category'
+                                ? `  Categories: ${count} tags of categories discarded by ${rule.match} removed`
+                                : `  Rule: ${rule.match.substring(0, 50)}... -> ${count} replacements`);
+                        changes.slice(0, 10).forEach(change => console.log(change));
+                        if (changes.length > 10) {
+                            console.log(`  ... and ${changes.length - 10} more changes`);
+                        }
                     }
                 }
+            } else if (verbose) {
+                console.log(`  No changes needed`);
             }
-            
-            if (!dryRun) {
-                // Write to output directory
-                const outputPath = path.join(outputDir, filename);
-                fs.writeFileSync(outputPath, modified, 'utf8');
+
+            totalDiscardedPages += discardedPages.length;
+            if (discardedPages.length > 0 && !quiet) {
+                const action = discardedMode === 'separate'
+                    ? (dryRun ? 'Would set aside' : 'Set aside')
+                    : (dryRun ? 'Would drop' : 'Dropped');
+                console.log(`  ${action} ${discardedPages.length} pages discarded by their namespace cleaner`);
+                if (verbose) {
+                    discardedPages.slice(0, 10).forEach(title => console.log(`  Discarded: ${title}`));
+                    if (discardedPages.length > 10) {
+                        console.log(`  ... and ${discardedPages.length - 10} more pages`);
+                    }
+                }
+            }
+
+            totalBrokenRedirects += brokenRedirects.length;
+            if (brokenRedirects.length > 0 && !quiet) {
+                const action = discardedMode === 'separate'
+                    ? (dryRun ? 'Would set aside' : 'Set aside')
+                    : (dryRun ? 'Would drop' : 'Dropped');
+                console.log(`  ${action} ${brokenRedirects.length} redirects to pages that will not be migrated`);
+                if (verbose) {
+                    brokenRedirects.slice(0, 10).forEach(title => console.log(`  Redirect: ${title} -> ${resolveRedirect(title, redirects).target}`));
+                    if (brokenRedirects.length > 10) {
+                        console.log(`  ... and ${brokenRedirects.length - 10} more redirects`);
+                    }
+                }
+            }
+
+            totalDiscardedLinks += discardedLinks.size;
+            if (discardedLinks.size > 0 && !quiet) {
+                console.log(`  ${discardedLinks.size} linked pages are discarded by their namespace cleaner`);
+                if (verbose) {
+                    const links = Array.from(discardedLinks, ([target, pages]) => `  Link: [[${target}]] <- ${Array.from(pages).join(', ')}`);
+                    links.slice(0, 10).forEach(link => console.log(link));
+                    if (links.length > 10) {
+                        console.log(`  ... and ${links.length - 10} more links`);
+                    }
+                }
             }
+
+            totalUntranslatedQueries += untranslatedQueries.size;
+            if (untranslatedQueries.size > 0 && !quiet) {
+                console.log(`  ${untranslatedQueries.size} pages have SPARQL queries that cannot be translated automatically`);
+                if (verbose) {
+                    const queries = Array.from(untranslatedQueries, ([title, problems]) => `  Query: ${title}: ${Array.from(problems).join('; ')}`);
+                    queries.slice(0, 10).forEach(query => console.log(query));
+                    if (queries.length > 10) {
+                        console.log(`  ... and ${queries.length - 10} more pages`);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error(`ERROR processing ${filename}: ${error.message}`);
+        }
+    }
+
+    // Only happens when a page of a merge group could not be read
+    for (const pending of pendingMerges.values()) {
+        console.error(`ERROR: Incomplete merge group, not written: ${Array.from(pending.keys()).join(', ')}`);
+    }
+
+    if (cleanPool) {
+        await cleanPool.close();
+    }
+    const diffPagesCount = diffReport ? await diffReport.end() : 0;
+    const reportPagesCounts = await Promise.all(runReports.map(runReport => runReport.end()));
+    const constructs = constructInventory ? constructInventory.constructs() : [];
+    if (constructInventory) {
+        writeConstructReport(constructsPath, constructs, supportedConstructs.wiki);
+    }
+    const redLinkPages = redLinkFinder ? await redLinkFinder.resolve(existingTitlesPath) : [];
+    if (redLinkFinder) {
+        writeRedLinkReport(redLinksPath, redLinkPages);
+    }
+    // Most active contributors first, as they are the first ones worth mapping
+    const unmapped = Array.from(unmappedContributors, ([username, revisions]) => ({ username, revisions }))
+        .sort((a, b) => b.revisions - a.revisions || a.username.localeCompare(b.username));
+    const unmappedPath = path.join(outputDir, 'unmapped-contributors.json');
+    if (unmapped.length > 0 && !dryRun) {
+        fs.writeFileSync(unmappedPath, JSON.stringify({ prefix: contributorMap.prefix, unmapped }, null, 2) + '\n');
+    } else if (!dryRun && fs.existsSync(unmappedPath)) {
+        // Left by a previous run
+        fs.unlinkSync(unmappedPath);
+    }
+    const manifest = chunkWriter ? await chunkWriter.end() : null;
+    if (manifest && !dryRun) {
+        manifest.chunks.forEach(chunk => writtenFiles.push(path.join(outputDir, chunk.file)));
+    }
+    const cacheChanges = pageCache ? pageCache.changes() : null;
+    if (pageCache && !dryRun) {
+        pageCache.save();
+    }
+
+    if (!quiet) {
+        if (dryRun) {
+            console.log(`\nDRY RUN completed! Would apply ${totalChanges} total changes.`);
+            console.log('Use without --dry-run to apply changes and save to ./output directory.');
         } else {
+            console.log(`\nAll replacements completed successfully!`);
+            console.log(`Applied ${totalChanges} total changes.`);
+            console.log(`Cleaned files saved to ./output directory.`);
+        }
+        if (totalDiscardedPages > 0) {
+            console.log(`${totalDiscardedPages} pages discarded by their namespace cleaner ${dryRun ? 'would be' : 'were'} ${discardedMode === 'separate' ? 'written to ./output/discarded' : 'left out'}.`);
+        }
+        if (totalDiscardedLinks > 0) {
+            console.log(`${totalDiscardedLinks} links point to pages that will not be migrated.`);
+        }
+        if (redirects.size > 0) {
+            const { retargeted, collapsed, loops } = redirectCounts;
+            console.log(`${redirects.size} redirects in the dumps: ${retargeted} ${dryRun ? 'would be' : 'were'} pointed to the final title of their target (${collapsed} double redirects collapsed)${totalBrokenRedirects > 0 ? `, ${totalBrokenRedirects} to pages that will not be migrated ${dryRun ? 'would be' : 'were'} ${discardedMode === 'separate' ? 'written to ./output/discarded' : 'left out'}` : ''}${loops > 0 ? `, ${loops} in loops to break by hand` : ''}.`);
+        }
+        if (redirectOldTitles) {
+            console.log(`${redirectCounts.created} redirects from the old titles of renamed pages ${dryRun ? 'would be' : 'were'} created.`);
+        }
+        if (totalUntranslatedQueries > 0) {
+            console.log(`${totalUntranslatedQueries} pages have SPARQL queries left as written, to translate by hand (see ${path.basename(sparqlPath)}).`);
+        }
+        if (unmapped.length > 0) {
+            console.log(`${unmapped.length} contributors are not in ${path.basename(contributorsPath)} and ${dryRun ? 'would be' : 'were'} prefixed with "${contributorMap.prefix}>"${dryRun ? '' : ', listed in ./output/unmapped-contributors.json'}.`);
             if (verbose) {
-                console.log(`  No changes needed`);
+                unmapped.slice(0, 10).forEach(({ username, revisions }) => console.log(`  Unmapped: ${username} (${revisions} revisions)`));
+                if (unmapped.length > 10) {
+                    console.log(`  ... and ${unmapped.length - 10} more contributors`);
+                }
             }
-            
-            if (!dryRun) {
-                // Copy unchanged file to output
-                const outputPath = path.join(outputDir, filename);
-                fs.copyFileSync(file, outputPath);
+        }
+        if (diffReport) {
+            console.log(`Changes of ${diffPagesCount} pages written to ${diffPath}`);
+        }
+        if (cacheChanges) {
+            const { changed, removed } = cacheChanges;
+            console.log(`${totalReused} pages reused from the cache. Since the last --incremental run, ${changed.length} pages ${dryRun ? 'would change' : 'changed'} output${removed.length > 0 ? ` and ${removed.length} pages ${dryRun ? 'would no longer be' : 'are no longer'} written` : ''}.`);
+            if (verbose) {
+                const lines = changed.map(({ file, title }) => `  Changed: ${file}: ${title}`)
+                    .concat(removed.map(({ file, title }) => `  Removed: ${file}: ${title}`));
+                lines.slice(0, 10).forEach(line => console.log(line));
+                if (lines.length > 10) {
+                    console.log(`  ... and ${lines.length - 10} more pages`);
+                }
             }
         }
-    } catch (error) {
-        console.error(`ERROR processing ${filename}: ${error.message}`);
+        reportPaths.forEach((reportPath, index) => console.log(`Report of ${reportPagesCounts[index]} pages written to ${reportPath}`));
+        if (constructInventory) {
+            const unsupported = constructs.filter(entry => !entry.supported);
+            const remaining = unsupported.filter(entry => entry.remaining.length > 0);
+            console.log(`${constructs.length} constructs written to ${constructsPath}, ${unsupported.length} of them unsupported by ${supportedConstructs.wiki} (${remaining.length} still used once cleaned).`);
+            if (verbose) {
+                unsupported.slice(0, 10).forEach(entry => console.log(`  Unsupported ${entry.type}: ${entry.construct} in ${entry.pages.length} pages, ${entry.remaining.length} once cleaned`));
+                if (unsupported.length > 10) {
+                    console.log(`  ... and ${unsupported.length - 10} more constructs`);
+                }
+            }
+        }
+        if (redLinkFinder) {
+            // Pages linking to each missing target, the most wanted first
+            const wanted = new Map();
+            redLinkPages.forEach(page => page.links.forEach(({ target, kind }) => {
+                const key = `${kind}\n${target}`;
+                wanted.set(key, { target, kind, pages: (wanted.has(key) ? wanted.get(key).pages : 0) + 1 });
+            }));
+            const missingTemplates = Array.from(wanted.values()).filter(entry => entry.kind === 'template').length;
+            console.log(`${wanted.size} targets of ${redLinkPages.length} pages would be red links on ${targetNamespaces.wiki} (${missingTemplates} missing templates), written to ${redLinksPath}.`);
+            if (!existingTitlesPath) {
+                console.log('  Without --existing-titles, only the migrated pages count as existing.');
+            }
+            if (verbose) {
+                const lines = Array.from(wanted.values())
+                    .sort((a, b) => b.pages - a.pages)
+                    .map(({ target, kind, pages }) => `  Missing ${kind}: ${target} (${pages} pages)`);
+                lines.slice(0, 10).forEach(line => console.log(line));
+                if (lines.length > 10) {
+                    console.log(`  ... and ${lines.length - 10} more targets`);
+                }
+            }
+        }
+        if (manifest) {
+            console.log(`${dryRun ? 'Would split' : 'Split'} pages into ${manifest.chunks.length} files${dryRun ? '' : ', listed in ./output/manifest.json'}:`);
+            manifest.chunks.forEach(chunk => console.log(`  ${chunk.file}: ${chunk.pagesCount} pages, ${chunk.bytes} bytes`));
+        }
     }
-}
 
-if (!quiet) {
-    if (dryRun) {
-        console.log(`\nDRY RUN completed! Would apply ${totalChanges} total changes.`);
-        console.log('Use without --dry-run to apply changes and save to ./output directory.');
-    } else {
-        console.log(`\nAll replacements completed successfully!`);
-        console.log(`Applied ${totalChanges} total changes.`);
-        console.log(`Cleaned files saved to ./output directory.`);
+    if (!dryRun) {
+        const invalidCount = await validateOutput();
+        if (invalidCount > 0) {
+            console.error(`ERROR: ${invalidCount} files of ./output are not valid MediaWiki exports`);
+            process.exit(1);
+        }
     }
 }
+
+main().catch(error => {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+});
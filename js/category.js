@@ -1566,3 +1566,8 @@ const category = {
 if (typeof window !== 'undefined') {
     window.category = category;
 }
+
+// Export as a CommonJS module for Node.js access (clean-xml.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = category;
+}
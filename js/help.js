@@ -244,4 +244,9 @@ const help = {
 // Export to global scope for browser access
 if (typeof window !== 'undefined') {
     window.help = help;
+}
+
+// Export as a CommonJS module for Node.js access (clean-xml.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = help;
 }
\ No newline at end of file
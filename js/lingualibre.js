@@ -589,4 +589,9 @@ const lingualibre = {
 // Export to global scope for browser access
 if (typeof window !== 'undefined') {
     window.lingualibre = lingualibre;
+}
+
+// Export as a CommonJS module for Node.js access (clean-xml.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = lingualibre;
 }
\ No newline at end of file
@@ -6084,3 +6084,8 @@ if (typeof window !== 'undefined') {
     window.list = list;
 }
 
+// Export as a CommonJS module for Node.js access (clean-xml.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = list;
+}
+
@@ -565,4 +565,9 @@ const template = {
 // Export to global scope for browser access
 if (typeof window !== 'undefined') {
     window.template = template;
+}
+
+// Export as a CommonJS module for Node.js access (clean-xml.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = template;
 }
\ No newline at end of file
@@ -8241,4 +8241,9 @@ const translations = {
 // Export to global scope for browser access
 if (typeof window !== 'undefined') {
     window.translations = translations;
+}
+
+// Export as a CommonJS module for Node.js access (clean-xml.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = translations;
 }
\ No newline at end of file
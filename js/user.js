@@ -4103,4 +4103,9 @@ const user = {
 // Export to global scope for browser access
 if (typeof window !== 'undefined') {
     window.user = user;
+}
+
+// Export as a CommonJS module for Node.js access (clean-xml.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = user;
 }
\ No newline at end of file
@@ -0,0 +1,166 @@
+// cache.js - Reuse the cleaning of the pages that did not change since the last run
+//
+// With --incremental, the hash of every page as read from its dump is kept in a cache manifest,
+// along with the hash of everything else the cleaning depends on: the active rules, the template
+// and SPARQL mappings, the plugins, the namespace cleaners of js/*.js and the code of lib/. A page
+// is reprocessed when its own XML or that hash changed, otherwise its cleaned XML, rule counts and
+// warnings come from the cache. The hash of what each page finally looks like in ./output tells
+// which pages changed output since the last run. The manifest only holds hashes and counts, the
+// cleaned XML of each page going to a file of its own named after its hash, so that neither has
+// to fit in memory as a whole:
+//   .cache/clean-xml/manifest.json
+//   {
+//       "config": "<sha1>",
+//       "pages": { "sample.xml": { "Help:Bots": { "input": "<sha1>", "output": "<sha1>", "xml": "<sha1>",
+//                                                  "rules": { "#25": 4 }, "links": [], "queries": [] } } }
+//   }
+//   .cache/clean-xml/pages/<sha1>.xml
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * SHA-1 of a string
+ * @param {string} text
+ * @returns {string} - Hexadecimal digest
+ */
+function hashText(text) {
+    return crypto.createHash('sha1').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * SHA-1 of the content of files, in the given order
+ * @param {Array<string>} files - Paths of the files
+ * @returns {string} - Hexadecimal digest
+ */
+function hashFiles(files) {
+    const hash = crypto.createHash('sha1');
+    for (const file of files) {
+        hash.update(`${path.basename(file)}\n`).update(fs.readFileSync(file));
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Key of a rule or mapping entry in the rule counts of the cache
+ * @param {Object} rule - Rule of replaces.json, templates.json entry, SPARQL mapping, plugin or CATEGORY_CLEANER
+ * @returns {string} - e.g. "#21", "template:Speaker of the month", "sparql", "plugin:invoke", "category"
+ */
+function ruleKey(rule) {
+    switch (rule.process) {
+        case 'template':
+            return `template:${rule.match}`;
+        case 'sparql':
+            return 'sparql';
+        case 'plugin':
+            return `plugin:${rule.match}`;
+        case 'category':
+            return 'category';
+        default:
+            return `#${rule.index}`;
+    }
+}
+
+/**
+ * Open the cache of an incremental run
+ * A missing or unreadable manifest is an empty cache, a missing page file a page to clean again.
+ * @param {string} dir - Directory of the cache, holding manifest.json and pages/
+ * @param {string} config - Hash of everything the cleaning of a page depends on besides its XML
+ * @param {boolean} [readOnly=false] - Whether the cleaned pages are left out of the cache directory (dry run)
+ * @returns {{status: string, get: function(string, string, string): Object|null, set: function(string, string, Object): void,
+ *   changes: function(): {changed: Array<{file: string, title: string}>, removed: Array<{file: string, title: string}>},
+ *   save: function(): void}}
+ *   status is "none" without a previous manifest, "stale" when config changed since, "valid" otherwise;
+ *   get() takes the dump name, page title and hash of the page XML, set() the dump name, page title and entry,
+ *   entries holding the cleaned XML of the page in "xml"
+ */
+function createPageCache(dir, config, readOnly = false) {
+    const file = path.join(dir, 'manifest.json');
+    const pagesDir = path.join(dir, 'pages');
+    let previous = null;
+    try {
+        previous = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        previous = null;
+    }
+    const previousPages = previous && previous.pages ? previous.pages : {};
+    const reusable = previous !== null && previous.config === config;
+    const pages = {};
+
+    const previousEntry = (dump, title) => Object.prototype.hasOwnProperty.call(previousPages, dump)
+        && Object.prototype.hasOwnProperty.call(previousPages[dump], title) ? previousPages[dump][title] : null;
+    const pagePath = hash => path.join(pagesDir, `${hash}.xml`);
+
+    return {
+        status: previous === null ? 'none' : reusable ? 'valid' : 'stale',
+        get(dump, title, input) {
+            const entry = reusable ? previousEntry(dump, title) : null;
+            if (!entry || entry.input !== input) {
+                return null;
+            }
+            try {
+                return { ...entry, xml: fs.readFileSync(pagePath(entry.xml), 'utf8') };
+            } catch (error) {
+                return null;
+            }
+        },
+        set(dump, title, entry) {
+            if (!pages[dump]) {
+                pages[dump] = {};
+            }
+            const hash = hashText(entry.xml);
+            // Pages that clean the same way share their file
+            if (!readOnly && !fs.existsSync(pagePath(hash))) {
+                fs.mkdirSync(pagesDir, { recursive: true });
+                fs.writeFileSync(`${pagePath(hash)}.tmp`, entry.xml);
+                fs.renameSync(`${pagePath(hash)}.tmp`, pagePath(hash));
+            }
+            pages[dump][title] = { ...entry, xml: hash };
+        },
+        changes() {
+            const changed = [];
+            const removed = [];
+            for (const [dump, titles] of Object.entries(pages)) {
+                for (const [title, entry] of Object.entries(titles)) {
+                    const before = previousEntry(dump, title);
+                    if (!before || before.output !== entry.output) {
+                        changed.push({ file: dump, title });
+                    }
+                }
+            }
+            for (const [dump, titles] of Object.entries(previousPages)) {
+                for (const title of Object.keys(titles)) {
+                    if (!pages[dump] || !Object.prototype.hasOwnProperty.call(pages[dump], title)) {
+                        removed.push({ file: dump, title });
+                    }
+                }
+            }
+            return { changed, removed };
+        },
+        save() {
+            fs.mkdirSync(dir, { recursive: true });
+            // One line per page, so that the manifest is never one string as long as the dumps are
+            const output = fs.openSync(`${file}.tmp`, 'w');
+            const dumps = Object.keys(pages);
+            fs.writeSync(output, `{"config":${JSON.stringify(config)},"pages":{`);
+            dumps.forEach((dump, dumpIndex) => {
+                fs.writeSync(output, `${dumpIndex > 0 ? ',' : ''}\n${JSON.stringify(dump)}:{`);
+                Object.entries(pages[dump]).forEach(([title, entry], index) => {
+                    fs.writeSync(output, `${index > 0 ? ',' : ''}\n${JSON.stringify(title)}:${JSON.stringify(entry)}`);
+                });
+                fs.writeSync(output, '}');
+            });
+            fs.writeSync(output, '\n}}\n');
+            fs.closeSync(output);
+            fs.renameSync(`${file}.tmp`, file);
+            // Files of the pages that are no longer cleaned that way
+            const kept = new Set();
+            Object.values(pages).forEach(titles => Object.values(titles).forEach(entry => kept.add(`${entry.xml}.xml`)));
+            const files = fs.existsSync(pagesDir) ? fs.readdirSync(pagesDir) : [];
+            files.filter(name => !kept.has(name)).forEach(name => fs.unlinkSync(path.join(pagesDir, name)));
+        }
+    };
+}
+
+module.exports = { hashText, hashFiles, ruleKey, createPageCache };
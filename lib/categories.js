@@ -0,0 +1,47 @@
+// categories.js - Drop the category tags of the categories that are not migrated
+//
+// A category tag, [[Category:Name|sort key]], puts the page in a category, unlike a link to
+// the category page ([[:Category:Name]]). Like any link target, the name is renamed by the
+// wikilink-target rules of replaces.json, the sort key being kept as written. The tags of the
+// categories that the cleaner() of js/category.js discards (Babel levels such as
+// Category:Fr-N, Category:Wiki Audio Walk...) would leave the imported pages in categories
+// that do not exist on Commons: they are removed, unless a rule maps them to a category of
+// Commons (Category:Speakers in fra -> Category:Voice contributors in fra). A tag alone on
+// its line is removed with its line.
+
+const { decodeXml } = require('./page');
+const { mapUnprotected } = require('./wikilinks');
+const { splitTitle, isDiscarded } = require('./namespaces');
+
+const CATEGORY_NAMESPACE = 14;
+
+// Counts the removed tags in the statistics of the cleaner
+const CATEGORY_CLEANER = { process: 'category', match: 'js/category.js' };
+
+// [[Category:Name]] or [[Category:Name|sort key]], not preceded by ":", and the newline after it
+const CATEGORY_TAG_REGEX = /\[\[(?!\s*:)([^\[\]{}|]+)(\|[^\[\]]*)?\]\](\n?)/g;
+
+/**
+ * Remove the tags of the discarded categories from a wikitext
+ * @param {string} text - Raw (XML-escaped) wikitext, or a raw <text> element
+ * @param {function(string): string} renameTarget - Renames a decoded category title as the
+ *   wikilink-target rules do; a discarded category that it renames is kept
+ * @param {Map<Object, number>} [stats] - Receives the number of removed tags under CATEGORY_CLEANER
+ * @returns {string}
+ */
+function removeDiscardedCategories(text, renameTarget, stats) {
+    return mapUnprotected(text, segment => segment.replace(CATEGORY_TAG_REGEX, (match, rawTarget, sortKey, newline, offset, string) => {
+        const target = decodeXml(rawTarget).trim();
+        const namespace = splitTitle(target).namespace;
+        if (!namespace || namespace.id !== CATEGORY_NAMESPACE || !isDiscarded(target) || renameTarget(target) !== target) {
+            return match;
+        }
+        if (stats) {
+            stats.set(CATEGORY_CLEANER, (stats.get(CATEGORY_CLEANER) || 0) + 1);
+        }
+        // The newline after a tag alone on its line goes with it
+        return offset === 0 || string[offset - 1] === '\n' ? '' : newline;
+    }));
+}
+
+module.exports = { CATEGORY_CLEANER, removeDiscardedCategories };
@@ -0,0 +1,157 @@
+// chunks.js - Regroup cleaned pages in output files by target namespace and size
+//
+// Special:Import on Commons refuses files past its upload size limit, and importing
+// per namespace is easier to follow. createChunkWriter() takes the cleaned pages of
+// every input dump and writes them to output/<Namespace>-<nnn>.xml files, <Namespace> being
+// the namespace of the target wiki their <ns> points to (see lib/target-namespaces.js), each one a
+// complete export (the <siteinfo> header of the first dump and a closing tag), capped
+// by byte size and/or page count. A manifest lists the pages of every chunk, in the
+// order they were written, so that the import can be tracked and resumed.
+
+const fs = require('fs');
+const path = require('path');
+const { createOutput } = require('./xml-stream');
+const { targetNamespace } = require('./target-namespaces');
+
+// Layout of the MediaWiki exports between and after the pages
+const PAGE_SEPARATOR = '\n  ';
+const FOOTER = '\n</mediawiki>\n';
+
+/**
+ * Parse a size such as "500000", "800K" or "95M" (powers of 1024)
+ * @param {string} value - Size given on the command line
+ * @returns {number|null} - Size in bytes, or null if invalid
+ */
+function parseSize(value) {
+    const match = value.trim().match(/^(\d+)\s*([kmg]?)i?b?$/i);
+    if (!match) {
+        return null;
+    }
+    const multiplier = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 }[match[2].toLowerCase()];
+    return parseInt(match[1], 10) * multiplier;
+}
+
+/**
+ * Delete the chunk files listed by the manifest of a previous run, and that manifest
+ * Only files written by createChunkWriter() are removed, so that a rerun with other
+ * limits does not leave stale chunks next to the new manifest.
+ * @param {string} outputDir - Directory of the chunk files and manifest.json
+ * @returns {number} - Number of chunk files deleted
+ */
+function removeChunks(outputDir) {
+    const manifestPath = path.join(outputDir, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) {
+        return 0;
+    }
+    let removed = 0;
+    for (const { file } of JSON.parse(fs.readFileSync(manifestPath, 'utf8')).chunks) {
+        const chunkPath = path.join(outputDir, path.basename(file));
+        if (fs.existsSync(chunkPath)) {
+            fs.unlinkSync(chunkPath);
+            removed++;
+        }
+    }
+    fs.unlinkSync(manifestPath);
+    return removed;
+}
+
+/**
+ * Create a writer that spreads pages across chunk files
+ * @param {string} outputDir - Directory of the chunk files and manifest.json
+ * @param {Object} options
+ * @param {number|null} options.maxBytes - Size limit of a chunk file, header and footer included
+ * @param {number|null} options.maxPages - Page limit of a chunk file
+ * @param {boolean} options.write - False to only plan the chunks (dry run)
+ * @param {Object} options.targetNamespaces - Result of loadTargetNamespaces(), which the pages are grouped by
+ * @returns {{setHeader: function(string): void, addPage: function(string, string, string): Promise<void>, end: function(): Promise<Object>}}
+ *   addPage() takes the page XML, its new title and the input file it comes from;
+ *   end() closes every chunk and resolves to the manifest
+ */
+function createChunkWriter(outputDir, { maxBytes, maxPages, write, targetNamespaces }) {
+    let header = null;
+    let headerBytes = 0;
+    const footerBytes = Buffer.byteLength(FOOTER);
+    const chunks = [];
+    const sources = new Set();
+    // Chunk being filled for each namespace
+    const openChunks = new Map();
+    const counters = new Map();
+
+    async function closeChunk(chunk) {
+        openChunks.delete(chunk.namespace);
+        chunk.bytes += footerBytes;
+        if (chunk.output) {
+            await chunk.output.write(FOOTER);
+            await chunk.output.end();
+            fs.renameSync(chunk.tempPath, path.join(outputDir, chunk.file));
+            chunk.output = null;
+        }
+    }
+
+    async function openChunk(namespace) {
+        const count = (counters.get(namespace) || 0) + 1;
+        counters.set(namespace, count);
+        const file = `${namespace.replace(/ /g, '_')}-${String(count).padStart(3, '0')}.xml`;
+        const chunk = { file, namespace, bytes: headerBytes, pages: [] };
+        if (write) {
+            // Written under a temporary name, as in processFile(), so that a failed run leaves no truncated chunk
+            chunk.tempPath = path.join(outputDir, `${file}.tmp`);
+            chunk.output = createOutput(chunk.tempPath);
+            await chunk.output.write(header);
+        }
+        chunks.push(chunk);
+        openChunks.set(namespace, chunk);
+        return chunk;
+    }
+
+    return {
+        setHeader(xml) {
+            // Every chunk reuses the <siteinfo> of the first dump
+            if (header === null) {
+                header = xml;
+                headerBytes = Buffer.byteLength(xml);
+            }
+        },
+
+        async addPage(xml, title, source) {
+            // The namespace the page is imported into, as written to its <ns>
+            const namespace = targetNamespace(title, targetNamespaces).name || 'Main';
+            let chunk = openChunks.get(namespace);
+            if (chunk && chunk.pages.length > 0 && (
+                (maxPages && chunk.pages.length >= maxPages) ||
+                (maxBytes && chunk.bytes + Buffer.byteLength(PAGE_SEPARATOR + xml) + footerBytes > maxBytes))) {
+                await closeChunk(chunk);
+                chunk = null;
+            }
+            if (!chunk) {
+                chunk = await openChunk(namespace);
+            }
+            const piece = chunk.pages.length > 0 ? PAGE_SEPARATOR + xml : xml;
+            chunk.pages.push(title);
+            chunk.bytes += Buffer.byteLength(piece);
+            sources.add(path.basename(source));
+            if (chunk.output) {
+                await chunk.output.write(piece);
+            }
+        },
+
+        async end() {
+            for (const chunk of Array.from(openChunks.values())) {
+                await closeChunk(chunk);
+            }
+            const manifest = {
+                generated: new Date().toISOString(),
+                sources: Array.from(sources),
+                maxBytes: maxBytes || null,
+                maxPages: maxPages || null,
+                chunks: chunks.map(({ file, namespace, bytes, pages }) => ({ file, namespace, bytes, pagesCount: pages.length, pages }))
+            };
+            if (write) {
+                fs.writeFileSync(path.join(outputDir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+            }
+            return manifest;
+        }
+    };
+}
+
+module.exports = { parseSize, removeChunks, createChunkWriter };
@@ -0,0 +1,119 @@
+// clean-pool.js - Clean pages in worker threads, for --jobs
+//
+// Rules, mappings and namespace cleaners only depend on the page being cleaned, so
+// pages can be cleaned anywhere: the main thread reads the dumps, sends the XML of
+// each page to the least busy worker of the pool and handles the results in dump order,
+// so that outputs, counts and reports are the same whatever the number of workers.
+// Results cross threads in the form the --incremental cache stores (see lib/cache.js):
+//   { xml: "<page>...", rules: { "#25": 4 }, links: ["Help:Rename"], queries: ["..."] }
+// Compiled rules and mappings are cloned into each worker with the structured clone
+// algorithm, which keeps RegExp, Map and Set objects. Functions cannot be cloned, so each
+// worker loads the transform plugins again from their configuration file.
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { parsePage, serializePage } = require('./page');
+const { latestRevisions } = require('./revisions');
+const { ruleKey } = require('./cache');
+
+/**
+ * Clean the XML of one page
+ * @param {function} cleanPage - cleanPage() of createCleaner()
+ * @param {string} xml - A complete <page>...</page> element, as read from its dump
+ * @param {number|null} keepRevisions - Number of revisions to keep, null for all
+ * @returns {{xml: string, rules: Object<string, number>, links: Array<string>, queries: Array<string>}} - The
+ *   cleaned page, the counts of the rules fired by key, the discarded link targets and the untranslated query problems
+ */
+function cleanPageXml(cleanPage, xml, keepRevisions) {
+    const page = parsePage(xml);
+    if (keepRevisions) {
+        page.revisions = latestRevisions(page.revisions, keepRevisions);
+    }
+    const stats = new Map();
+    const links = new Map();
+    const queries = new Map();
+    cleanPage(page, stats, links, queries);
+    return {
+        xml: serializePage(page),
+        rules: Object.fromEntries(Array.from(stats, ([rule, count]) => [ruleKey(rule), count])),
+        links: Array.from(links.keys()),
+        queries: [].concat(...Array.from(queries.values(), problems => Array.from(problems)))
+    };
+}
+
+/**
+ * Start a pool of worker threads cleaning pages
+ * @param {number} jobs - Number of workers
+ * @param {Object} options - What createCleaner() and cleanPageXml() need: {rules, activatedFeatures,
+ *   headOnly, templateMap, sparqlMap, pluginsPath, keepRevisions}, pluginsPath being given to loadPlugins()
+ * @returns {{clean: function(string): Promise<Object>, close: function(): Promise<void>}} - clean() takes
+ *   the XML of a page and resolves to the result of cleanPageXml(); once a worker has crashed, every
+ *   page waiting to be cleaned and every later clean() is rejected
+ */
+function createCleanPool(jobs, options) {
+    const workerData = { ...options, activatedFeatures: Array.from(options.activatedFeatures) };
+    const requests = new Map();
+    let nextId = 0;
+    let failure = null;
+    let closing = false;
+
+    // The pages of a crashed worker are lost, and the run cannot keep the dump order without them
+    const crash = (worker, error) => {
+        if (workers.includes(worker)) {
+            workers.splice(workers.indexOf(worker), 1);
+        }
+        failure = failure || error;
+        for (const [id, request] of requests) {
+            requests.delete(id);
+            request.reject(failure);
+        }
+    };
+
+    const workers = Array.from({ length: jobs }, () => {
+        const worker = new Worker(path.join(__dirname, 'clean-worker.js'), { workerData });
+        worker.busy = 0;
+        worker.on('message', ({ id, result, error }) => {
+            const request = requests.get(id);
+            requests.delete(id);
+            worker.busy--;
+            // Already rejected by a crash
+            if (!request) {
+                return;
+            }
+            if (error) {
+                request.reject(new Error(error));
+            } else {
+                request.resolve(result);
+            }
+        });
+        worker.on('error', error => crash(worker, new Error(`A worker of --jobs crashed: ${error.message}`)));
+        // Also raised after an error, or when a plugin ends the thread
+        worker.on('exit', code => {
+            if (!closing) {
+                crash(worker, new Error(`A worker of --jobs stopped with exit code ${code}`));
+            }
+        });
+        return worker;
+    });
+
+    return {
+        clean(xml) {
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            const worker = workers.reduce((least, candidate) => candidate.busy < least.busy ? candidate : least);
+            const id = nextId++;
+            worker.busy++;
+            return new Promise((resolve, reject) => {
+                requests.set(id, { resolve, reject });
+                worker.postMessage({ id, xml });
+            });
+        },
+        async close() {
+            closing = true;
+            await Promise.all(workers.map(worker => worker.terminate()));
+        }
+    };
+}
+
+module.exports = { cleanPageXml, createCleanPool };
@@ -0,0 +1,21 @@
+// clean-worker.js - Worker thread of lib/clean-pool.js
+//
+// Builds the cleaner from the rules, mappings and plugins of workerData, then cleans each page
+// it is sent, answering with its id.
+
+const { parentPort, workerData } = require('worker_threads');
+const { createCleaner } = require('./cleaner');
+const { cleanPageXml } = require('./clean-pool');
+const { loadPlugins } = require('./plugins');
+
+const { rules, activatedFeatures, headOnly, templateMap, sparqlMap, pluginsPath, keepRevisions } = workerData;
+const plugins = loadPlugins(pluginsPath);
+const { cleanPage } = createCleaner(rules, new Set(activatedFeatures), { headOnly, templateMap, sparqlMap, plugins });
+
+parentPort.on('message', ({ id, xml }) => {
+    try {
+        parentPort.postMessage({ id, result: cleanPageXml(cleanPage, xml, keepRevisions) });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
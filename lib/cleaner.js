@@ -0,0 +1,150 @@
+// cleaner.js - Rewrite the titles, texts and edit summaries of parsed pages
+//
+// createCleaner() binds the compiled rules to a set of activated features, so that
+// the same rule set can be run under several --activate combinations (see --test).
+// Template calls and Template: pages listed in json/templates.json are rewritten
+// before the rules (see lib/templates.js), as its entries name Lingua Libre templates.
+// The queries of {{SPARQL}} calls are translated after them (see lib/sparql.js), once
+// replaces.json has turned <query> blocks into such calls. Translation units
+// (Translations:<page>/<n>/<language>) take the new title of their source page (see lib/translate.js).
+// Transform plugins run on the whole page, before or after the text rules (see lib/plugins.js).
+// Category tags of the categories that js/category.js discards are removed (see lib/categories.js).
+
+const { encodeXml, getElement, setElement, getTextContent } = require('./page');
+const { rulesForScope, isActive, applyRule, applyRules, renameTemplates } = require('./rules');
+const { rewriteLinks } = require('./wikilinks');
+const { isDiscarded } = require('./namespaces');
+const { headRevision, updateTextMetadata } = require('./revisions');
+const { convertList } = require('./lists');
+const { rewriteTemplateCalls, renameTemplatePage } = require('./templates');
+const { translateSparqlTemplates } = require('./sparql');
+const { renameUnitTitle } = require('./translate');
+const { applyPlugins } = require('./plugins');
+const { removeDiscardedCategories } = require('./categories');
+
+/**
+ * Create the page transformation functions for a rule set
+ * @param {Array<Object>} rules - Compiled rules from loadRules()
+ * @param {Set<string>} activatedFeatures - Features given with --activate
+ * @param {Object} [options]
+ * @param {boolean} [options.headOnly=false] - Only rewrite the text of the latest revision of each page
+ * @param {Map<string, Object>} [options.templateMap] - Template mapping from loadTemplateMap()
+ * @param {Object} [options.sparqlMap] - SPARQL mapping from loadSparqlMap(), queries are left as written without it
+ * @param {Array<Object>} [options.plugins] - Transform plugins from loadPlugins(), only run by cleanPage()
+ * @returns {{transformTitle: Function, transformTarget: Function, transformText: Function, transformSummary: Function, cleanPage: Function}}
+ *   Each function takes an optional `stats` Map that receives the replacement counts per rule
+ *   (and the rewrite counts per template mapping entry, the translated query count under sparqlMap,
+ *   the change counts per plugin, the removed category tag count under CATEGORY_CLEANER)
+ */
+function createCleaner(rules, activatedFeatures, { headOnly = false, templateMap = new Map(), sparqlMap = null, plugins = [] } = {}) {
+    const titleRules = rulesForScope(rules, 'title');
+    const textRules = rulesForScope(rules, 'text');
+    const linkRules = rulesForScope(rules, 'wikilink-target');
+    const templateRules = rulesForScope(rules, 'template-name');
+    const summaryRules = rulesForScope(rules, 'edit-summary');
+    const pluginsBefore = plugins.filter(plugin => plugin.stage === 'before-rules');
+    const pluginsAfter = plugins.filter(plugin => plugin.stage === 'after-rules');
+
+    // Rename a page title
+    function transformTitle(title, stats) {
+        const unitTitle = renameUnitTitle(title, page => transformTitle(page, stats));
+        return unitTitle || applyRules(renameTemplatePage(title, templateMap, stats), titleRules, activatedFeatures, stats);
+    }
+
+    // Rename the page part of a link target
+    function transformTarget(target, stats) {
+        const unitTitle = renameUnitTitle(target, page => transformTarget(page, stats));
+        return unitTitle || applyRules(renameTemplatePage(target, templateMap, stats), linkRules, activatedFeatures, stats);
+    }
+
+    // Convert a raw <text> element to a {{Lingua Libre list}}
+    function applyListRule(text, rule, title, stats) {
+        const match = text.match(/^<text\b[^>]*?>/);
+        if (!title || title.search(rule.regex) === -1 || !match || match[0].endsWith('/>')) {
+            return text;
+        }
+        const converted = convertList(getTextContent(text), title).text;
+        if (stats) {
+            stats.set(rule, (stats.get(rule) || 0) + 1);
+        }
+        return `${match[0]}${encodeXml(converted)}</text>`;
+    }
+
+    // Rewrite a raw <text> element (or any wikitext fragment): mapped template calls, text rules, then the
+    // tags of discarded categories, link targets and template names.
+    // Targets that their namespace cleaner discards, and that the wikilink-target rules leave on a
+    // discarded title, are collected in discardedLinks, if given,
+    // and the reasons why SPARQL queries could not be translated in queryProblems.
+    // List rules only apply when the original title of the page is given.
+    function transformText(text, stats, discardedLinks, title, queryProblems) {
+        const replaced = textRules.reduce((result, rule) => {
+            if (!isActive(rule, activatedFeatures)) {
+                return result;
+            }
+            return rule.process === 'list' ? applyListRule(result, rule, title, stats) : applyRule(result, rule, stats);
+        }, rewriteTemplateCalls(text, templateMap, stats));
+        const translated = sparqlMap ? translateSparqlTemplates(replaced, sparqlMap, stats, queryProblems) : replaced;
+        const cleaned = removeDiscardedCategories(translated, target => transformTarget(target), stats);
+        const relinked = rewriteLinks(cleaned, target => {
+            const renamed = transformTarget(target, stats);
+            // A rule may map the link to a page of Commons instead (Category:Speakers in fra)
+            if (discardedLinks && isDiscarded(target) && isDiscarded(renamed)) {
+                discardedLinks.add(target.trim());
+            }
+            return renamed;
+        });
+        return renameTemplates(relinked, templateRules, activatedFeatures, stats);
+    }
+
+    // Rewrite the <comment> of a revision
+    function transformSummary(summary, stats) {
+        return applyRules(summary, summaryRules, activatedFeatures, stats);
+    }
+
+    // Apply rules to one parsed page, each part of it going through the rules of its scope.
+    // Links to discarded pages are recorded in discardedLinks as target -> Set of linking page titles,
+    // and SPARQL queries left untranslated in untranslatedQueries as page title -> Set of reasons.
+    function cleanPage(page, stats, discardedLinks, untranslatedQueries) {
+        const originalTitle = page.title;
+        const pageDiscardedLinks = new Set();
+        const queryProblems = new Set();
+        const head = headOnly ? headRevision(page.revisions) : null;
+        page.title = transformTitle(page.title, stats);
+        applyPlugins(page, originalTitle, pluginsBefore, { headOnly, stats });
+        for (const revision of page.revisions) {
+            // Older revisions are kept as they were written
+            if (headOnly && revision !== head) {
+                continue;
+            }
+            if (revision.text) {
+                const text = transformText(revision.text, stats, pageDiscardedLinks, originalTitle, queryProblems);
+                if (text !== revision.text) {
+                    revision.text = text;
+                    updateTextMetadata(revision);
+                }
+            }
+            const summary = getElement(revision.before, 'comment');
+            if (summary !== null) {
+                const newSummary = transformSummary(summary, stats);
+                if (newSummary !== summary) {
+                    revision.before = setElement(revision.before, 'comment', newSummary);
+                }
+            }
+        }
+        applyPlugins(page, originalTitle, pluginsAfter, { headOnly, stats });
+        for (const target of pageDiscardedLinks) {
+            if (!discardedLinks.has(target)) {
+                discardedLinks.set(target, new Set());
+            }
+            discardedLinks.get(target).add(originalTitle);
+        }
+        if (untranslatedQueries && queryProblems.size > 0) {
+            untranslatedQueries.set(originalTitle, queryProblems);
+        }
+        return page;
+    }
+
+    return { transformTitle, transformTarget, transformText, transformSummary, cleanPage };
+}
+
+module.exports = { createCleaner };
@@ -0,0 +1,135 @@
+// collisions.js - Detect and resolve renamed titles that end up identical
+//
+// Rename rules can send two distinct Lingua Libre pages to the same Commons title,
+// in which case Special:Import silently overwrites one with the other. Before any
+// page is written, buildTitleMap() reads the titles of every input dump and
+// findCollisions() groups the ones whose new titles are the same page on Commons.
+// resolveCollisions() then applies one of the STRATEGIES:
+//   fail    stop before writing anything (default)
+//   report  list the collisions and write the pages unchanged
+//   suffix  keep the first page, append a numbered suffix to the new title of the others
+//   merge   write a single page holding the revisions of all colliding pages
+
+const { readPages } = require('./xml-stream');
+const { getElement } = require('./page');
+const { normalizeTitle } = require('./namespaces');
+const { revisionTimestamp } = require('./revisions');
+
+const STRATEGIES = ['fail', 'report', 'suffix', 'merge'];
+
+/**
+ * Read the title of every page of the input dumps and compute its new title
+ * @param {Array<string>} files - Paths of the XML dumps, in processing order
+ * @param {function(string): string} renameTitle - Title rename function
+ * @param {function(string): boolean} [isWritten] - Whether a page goes to the output, all pages by default
+ * @returns {Promise<Map<string, {newTitle: string, file: string}>>} - Keyed by original title, in input order
+ */
+async function buildTitleMap(files, renameTitle, isWritten = () => true) {
+    const titleMap = new Map();
+    for (const file of files) {
+        for await (const chunk of readPages(file)) {
+            if (chunk.type !== 'page') {
+                continue;
+            }
+            const title = getElement(chunk.xml, 'title');
+            // The same page exported in two dumps is not a rename collision
+            if (title !== null && !titleMap.has(title) && isWritten(title)) {
+                titleMap.set(title, { newTitle: renameTitle(title), file });
+            }
+        }
+    }
+    return titleMap;
+}
+
+// Key under which two titles are the same page on the target wiki
+function titleKey(title) {
+    return normalizeTitle(title) || title;
+}
+
+/**
+ * Group the original titles whose new titles collide
+ * @param {Map<string, {newTitle: string}>} titleMap - Result of buildTitleMap()
+ * @returns {{collisions: Array<{newTitle: string, titles: Array<string>}>, caseCollisions: Array<{newTitle: string, titles: Array<string>}>}}
+ *   collisions would overwrite each other on import; caseCollisions only differ by letter case,
+ *   which MediaWiki keeps apart but readers will not
+ */
+function findCollisions(titleMap) {
+    const byKey = new Map();
+    const byLowerKey = new Map();
+
+    for (const [title, { newTitle }] of titleMap) {
+        const key = titleKey(newTitle);
+        if (!byKey.has(key)) {
+            byKey.set(key, { newTitle: key, titles: [] });
+        }
+        byKey.get(key).titles.push(title);
+
+        const lowerKey = key.toLowerCase();
+        if (!byLowerKey.has(lowerKey)) {
+            byLowerKey.set(lowerKey, new Set());
+        }
+        byLowerKey.get(lowerKey).add(key);
+    }
+
+    const collisions = Array.from(byKey.values()).filter(group => group.titles.length > 1);
+    const caseCollisions = Array.from(byLowerKey.values())
+        .filter(keys => keys.size > 1)
+        .map(keys => {
+            const groups = Array.from(keys, key => byKey.get(key));
+            return {
+                newTitle: groups.map(group => group.newTitle).join(' / '),
+                titles: [].concat(...groups.map(group => group.titles))
+            };
+        });
+
+    return { collisions, caseCollisions };
+}
+
+/**
+ * Work out the final title of each colliding page for a strategy
+ * @param {Array<{newTitle: string, titles: Array<string>}>} collisions - Result of findCollisions()
+ * @param {Map<string, {newTitle: string}>} titleMap - Result of buildTitleMap()
+ * @param {string} strategy - One of STRATEGIES
+ * @param {string} suffixFormat - Suffix appended by the "suffix" strategy, "{n}" being the page rank from 2
+ * @returns {{finalTitles: Map<string, string>, mergeGroups: Map<string, Array<string>>}}
+ *   finalTitles maps original titles to overridden new titles, mergeGroups maps each original
+ *   title of a "merge" group to all the titles of its group
+ */
+function resolveCollisions(collisions, titleMap, strategy, suffixFormat) {
+    const finalTitles = new Map();
+    const mergeGroups = new Map();
+
+    if (strategy === 'suffix') {
+        const taken = new Set(Array.from(titleMap.values(), ({ newTitle }) => titleKey(newTitle)));
+        for (const { newTitle, titles } of collisions) {
+            let n = 2;
+            for (const title of titles.slice(1)) {
+                let candidate;
+                do {
+                    candidate = newTitle + suffixFormat.replace('{n}', n++);
+                } while (taken.has(titleKey(candidate)));
+                taken.add(titleKey(candidate));
+                finalTitles.set(title, candidate);
+            }
+        }
+    } else if (strategy === 'merge') {
+        for (const { titles } of collisions) {
+            titles.forEach(title => mergeGroups.set(title, titles));
+        }
+    }
+
+    return { finalTitles, mergeGroups };
+}
+
+/**
+ * Combine the parsed pages of a merge group into one page, revisions sorted by timestamp
+ * @param {Array<Object>} pages - Pages returned by parsePage(), the first one gives title and id
+ * @returns {Object} - A page that serializePage() can write
+ */
+function mergePages(pages) {
+    const revisions = [].concat(...pages.map(page => page.revisions));
+    revisions.sort((a, b) => revisionTimestamp(a).localeCompare(revisionTimestamp(b)));
+    return { ...pages[0], revisions };
+}
+
+module.exports = { STRATEGIES, buildTitleMap, findCollisions, resolveCollisions, mergePages };
@@ -0,0 +1,336 @@
+// constructs.js - Inventory the extension tags, parser functions, magic words and special pages used in wikitext
+//
+// Lingua Libre runs extensions that Commons does not have, so some of its wikitext means
+// nothing once imported. Four kinds of constructs are looked for in raw (XML-escaped) wikitext:
+//   tag              <query>, <ref>, <gallery>... (the HTML tags that wikitext allows are left out)
+//   parser function  {{#subtitle:...}}, {{#invoke:...}} and the core functions without "#", {{lc:...}}
+//   magic word       behavior switches (__NOTOC__) and variables ({{PAGENAME}}, {{DISPLAYTITLE:...}})
+//   special page     links, link templates and transclusions of Special: pages ([[Special:RecordWizard]])
+// Comments are skipped, and so is the content of <nowiki>, <pre> and the other tags whose
+// content is not wikitext. json/commons-constructs.json lists what the target wiki supports:
+//   {
+//       "wiki": "Wikimedia Commons",
+//       "tags": ["ref", "gallery"],
+//       "parserFunctions": ["#invoke", "#if"],
+//       "magicWords": ["__DISAMBIG__"],
+//       "specialPages": ["UploadWizard"]
+//   }
+// The core parser functions, variables and behavior switches of MediaWiki, which every wiki
+// has, need not be listed.
+
+const fs = require('fs');
+const path = require('path');
+const { decodeXml } = require('./page');
+const { findLinks } = require('./wikilinks');
+const { splitTitle } = require('./namespaces');
+const { csvField } = require('./run-report');
+
+const TYPES = ['tag', 'parser function', 'magic word', 'special page'];
+const TABLE_KEYS = ['wiki', 'tags', 'parserFunctions', 'magicWords', 'specialPages'];
+
+// HTML tags that the MediaWiki sanitizer lets through, and the tags of the parser itself
+const HTML_TAGS = [
+    'abbr', 'b', 'bdi', 'bdo', 'big', 'blockquote', 'br', 'caption', 'center', 'cite', 'code', 'data',
+    'dd', 'del', 'dfn', 'div', 'dl', 'dt', 'em', 'font', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i',
+    'ins', 'kbd', 'li', 'link', 'mark', 'meta', 'ol', 'p', 'q', 'rb', 'rp', 'rt', 'rtc', 'ruby', 's', 'samp',
+    'small', 'span', 'strike', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+    'time', 'tr', 'tt', 'u', 'ul', 'var', 'wbr', 'includeonly', 'noinclude', 'onlyinclude'
+];
+
+// Tags whose content is not wikitext
+const LITERAL_TAGS = ['nowiki', 'pre', 'syntaxhighlight', 'source', 'math', 'chem', 'ce', 'score', 'timeline', 'hiero', 'templatedata', 'graph', 'mapframe', 'maplink', 'query'];
+const LITERAL_REGEX = new RegExp(`(<(${LITERAL_TAGS.join('|')})\\b[^>]*>)[\\s\\S]*?</\\2\\s*>`, 'gi');
+
+// Parser functions of MediaWiki core, written without "#"; their names are case-insensitive
+const CORE_FUNCTIONS = [
+    'anchorencode', 'bidi', 'canonicalurl', 'canonicalurle', 'filepath', 'formatnum', 'fullurl', 'fullurle',
+    'gender', 'grammar', 'int', 'lc', 'lcfirst', 'localurl', 'localurle', 'msg', 'msgnw', 'ns', 'nse',
+    'padleft', 'padright', 'pagesincategory', 'pagesize', 'plural', 'protectionexpiry', 'protectionlevel',
+    'raw', 'uc', 'ucfirst', 'urlencode'
+];
+
+// Variables of MediaWiki core, case-sensitive, some of them taking a page name after ":"
+const CORE_VARIABLES = [
+    'ARTICLEPAGENAME', 'ARTICLEPAGENAMEE', 'ARTICLESPACE', 'ARTICLESPACEE', 'BASEPAGENAME', 'BASEPAGENAMEE',
+    'CASCADINGSOURCES', 'CONTENTLANG', 'CONTENTLANGUAGE', 'CURRENTDAY', 'CURRENTDAY2', 'CURRENTDAYNAME',
+    'CURRENTDOW', 'CURRENTHOUR', 'CURRENTMONTH', 'CURRENTMONTH1', 'CURRENTMONTHABBREV', 'CURRENTMONTHNAME',
+    'CURRENTMONTHNAMEGEN', 'CURRENTTIME', 'CURRENTTIMESTAMP', 'CURRENTVERSION', 'CURRENTWEEK', 'CURRENTYEAR',
+    'DEFAULTCATEGORYSORT', 'DEFAULTSORT', 'DEFAULTSORTKEY', 'DIRECTIONMARK', 'DIRMARK', 'DISPLAYTITLE',
+    'FULLPAGENAME', 'FULLPAGENAMEE', 'LOCALDAY', 'LOCALDAY2', 'LOCALDAYNAME', 'LOCALDOW', 'LOCALHOUR',
+    'LOCALMONTH', 'LOCALMONTH1', 'LOCALMONTHABBREV', 'LOCALMONTHNAME', 'LOCALMONTHNAMEGEN', 'LOCALTIME',
+    'LOCALTIMESTAMP', 'LOCALWEEK', 'LOCALYEAR', 'NAMESPACE', 'NAMESPACEE', 'NAMESPACENUMBER', 'NUMBERINGROUP',
+    'NUMBEROFACTIVEUSERS', 'NUMBEROFADMINS', 'NUMBEROFARTICLES', 'NUMBEROFEDITS', 'NUMBEROFFILES',
+    'NUMBEROFPAGES', 'NUMBEROFUSERS', 'PAGEID', 'PAGELANGUAGE', 'PAGENAME', 'PAGENAMEE', 'PAGESINNAMESPACE',
+    'PAGESINNS', 'REVISIONDAY', 'REVISIONDAY2', 'REVISIONID', 'REVISIONMONTH', 'REVISIONMONTH1',
+    'REVISIONSIZE', 'REVISIONTIMESTAMP', 'REVISIONUSER', 'REVISIONYEAR', 'ROOTPAGENAME', 'ROOTPAGENAMEE',
+    'SCRIPTPATH', 'SERVER', 'SERVERNAME', 'SITENAME', 'STYLEPATH', 'SUBJECTPAGENAME', 'SUBJECTPAGENAMEE',
+    'SUBJECTSPACE', 'SUBJECTSPACEE', 'SUBPAGENAME', 'SUBPAGENAMEE', 'TALKPAGENAME', 'TALKPAGENAMEE',
+    'TALKSPACE', 'TALKSPACEE'
+];
+
+// Behavior switches of MediaWiki core
+const CORE_SWITCHES = [
+    '__EXPECTUNUSEDCATEGORY__', '__FORCETOC__', '__HIDDENCAT__', '__INDEX__', '__NEWSECTIONLINK__', '__NOCC__',
+    '__NOCONTENTCONVERT__', '__NOEDITSECTION__', '__NOGALLERY__', '__NOINDEX__', '__NONEWSECTIONLINK__',
+    '__NOTC__', '__NOTITLECONVERT__', '__NOTOC__', '__STATICREDIRECT__', '__TOC__'
+];
+
+// Opening of a {{...}} construct: its name, after any subst:, up to ":", "|" or "}}"
+const BRACES_REGEX = /\{\{\s*(?:(?:safe)?subst\s*:\s*)?(:?\s*#?[^{}|:\n]+?)\s*(:|\||\}\})/g;
+const PARAMETER_REGEX = /\{\{\{[^{}]*\}\}\}/g;
+const TAG_REGEX = /<([A-Za-z][\w-]*)(?=[\s/>])/g;
+const SWITCH_REGEX = /__[A-Z][A-Z0-9_]*?__/g;
+const URL_FUNCTIONS = ['fullurl', 'fullurle', 'localurl', 'localurle', 'canonicalurl', 'canonicalurle'];
+// Core functions transcluding the template given to them
+const MESSAGE_FUNCTIONS = ['msg', 'msgnw', 'raw'];
+
+/**
+ * Load the constructs that the target wiki supports
+ * @param {string} tablePath - Path to the JSON file
+ * @returns {{wiki: string, tags: Set<string>, parserFunctions: Set<string>, magicWords: Set<string>, specialPages: Set<string>}}
+ *   Tags, parser functions and special pages in lowercase
+ */
+function loadSupportedConstructs(tablePath) {
+    const table = JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+    const unknownKeys = Object.keys(table).filter(key => !TABLE_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Unknown key ${unknownKeys.join(', ')} (expected ${TABLE_KEYS.join(', ')})`);
+    }
+    const list = key => {
+        const values = table[key] || [];
+        if (!Array.isArray(values) || values.some(value => typeof value !== 'string' || !value)) {
+            throw new Error(`"${key}" must be a list of names`);
+        }
+        return values;
+    };
+    return {
+        wiki: table.wiki || path.basename(tablePath),
+        tags: new Set(list('tags').map(name => name.toLowerCase())),
+        parserFunctions: new Set(list('parserFunctions').map(name => name.toLowerCase())),
+        magicWords: new Set(list('magicWords')),
+        specialPages: new Set(list('specialPages').map(name => name.toLowerCase()))
+    };
+}
+
+// Canonical form of a special page name, e.g. "RecordWizard" for "recordWizard/fra"
+function specialPageName(page) {
+    const name = page.split('/')[0].replace(/_/g, ' ').trim();
+    return name.charAt(0).toUpperCase() + name.substring(1);
+}
+
+// Special page of a link target or transcluded title, null for other pages
+function specialPage(title) {
+    const { interwiki, namespace, page } = splitTitle(title);
+    return !interwiki && namespace && namespace.id === -1 && page.trim() ? specialPageName(page) : null;
+}
+
+// Raw wikitext of a <text> element, and its decoded wikitext without comments nor the content of literal tags
+function liveWikitext(text) {
+    const raw = text.replace(/^<text\b[^>]*?(?:\/>|>)/, '').replace(/<\/text>$/, '');
+    const wikitext = decodeXml(raw).replace(/<!--[\s\S]*?(?:-->|$)/g, '');
+    // The opening tag of a literal tag is itself a construct
+    return { raw, live: wikitext.replace(LITERAL_REGEX, (match, opening) => opening) };
+}
+
+/**
+ * List the constructs used in a wikitext
+ * @param {string} text - Raw <text> element, or any raw (XML-escaped) wikitext fragment
+ * @returns {Array<{type: string, name: string}>} - One entry per use, in order of type then appearance;
+ *   names are e.g. "query" (tag), "#subtitle" (parser function), "PAGENAME" or "__NOTOC__" (magic word),
+ *   "RecordWizard" (special page)
+ */
+function findConstructs(text) {
+    const constructs = [];
+    const { raw, live } = liveWikitext(text);
+
+    for (const [, name] of live.matchAll(TAG_REGEX)) {
+        if (!HTML_TAGS.includes(name.toLowerCase())) {
+            constructs.push({ type: 'tag', name: name.toLowerCase() });
+        }
+    }
+
+    const specialPages = [];
+    for (const match of live.matchAll(BRACES_REGEX)) {
+        const [, name, separator] = match;
+        const rest = live.substring(match.index + match[0].length);
+        if (name.startsWith('#')) {
+            constructs.push({ type: 'parser function', name: name.replace(/\s+/g, '').toLowerCase() });
+        } else if (CORE_VARIABLES.includes(name) && separator !== '|') {
+            constructs.push({ type: 'magic word', name });
+        } else if (CORE_FUNCTIONS.includes(name.toLowerCase()) && separator === ':') {
+            constructs.push({ type: 'parser function', name: name.toLowerCase() });
+            // {{fullurl:Special:RecordWizard}}
+            if (URL_FUNCTIONS.includes(name.toLowerCase())) {
+                const page = specialPage(rest.split(/[|}]/)[0]);
+                if (page) {
+                    specialPages.push(page);
+                }
+            }
+        } else if (separator === ':') {
+            // {{Special:RecentChanges}}
+            const page = specialPage(`${name}:${rest.split(/[|}]/)[0]}`);
+            if (page) {
+                specialPages.push(page);
+            }
+        }
+    }
+
+    for (const [name] of live.matchAll(SWITCH_REGEX)) {
+        constructs.push({ type: 'magic word', name });
+    }
+
+    findLinks(raw).forEach(target => {
+        const page = specialPage(target);
+        if (page) {
+            specialPages.push(page);
+        }
+    });
+    specialPages.forEach(name => constructs.push({ type: 'special page', name }));
+
+    return constructs.sort((a, b) => TYPES.indexOf(a.type) - TYPES.indexOf(b.type));
+}
+
+/**
+ * List the pages that a wikitext transcludes: templates, and pages called with their namespace
+ * @param {string} text - Raw <text> element, or any raw (XML-escaped) wikitext fragment
+ * @returns {Array<string>} - Transcluded titles as written, in order of appearance, e.g. "SPARQL",
+ *   "Template:Speaker", ":Help:Intro"; parser functions, magic words and names built from
+ *   parameters or other templates are left out
+ */
+function findTransclusions(text) {
+    let live = liveWikitext(text).live;
+    // Template parameters can nest, {{{1|{{{lang}}}}}}
+    let previous;
+    do {
+        previous = live;
+        live = live.replace(PARAMETER_REGEX, '');
+    } while (live !== previous);
+    const titles = [];
+    for (const match of live.matchAll(BRACES_REGEX)) {
+        const [, name, separator] = match;
+        const rest = live.substring(match.index + match[0].length).split(/\||\}\}/)[0];
+        let title = separator === ':' ? `${name}:${rest}` : name;
+        if (name.startsWith('#') || CORE_VARIABLES.includes(name)) {
+            continue;
+        }
+        if (CORE_FUNCTIONS.includes(name.toLowerCase()) && separator === ':') {
+            // {{msgnw:Speaker}} shows the code of Template:Speaker
+            if (!MESSAGE_FUNCTIONS.includes(name.toLowerCase())) {
+                continue;
+            }
+            title = rest;
+        }
+        if (title.trim() && !/[{}\[\]<>\n]/.test(title)) {
+            titles.push(title.trim());
+        }
+    }
+    return titles;
+}
+
+/**
+ * Whether the target wiki supports a construct
+ * @param {{type: string, name: string}} construct - Entry of findConstructs()
+ * @param {Object} supported - Result of loadSupportedConstructs()
+ * @returns {boolean}
+ */
+function isSupported({ type, name }, supported) {
+    switch (type) {
+        case 'tag':
+            return supported.tags.has(name);
+        case 'parser function':
+            return CORE_FUNCTIONS.includes(name) || supported.parserFunctions.has(name);
+        case 'magic word':
+            return CORE_VARIABLES.includes(name) || CORE_SWITCHES.includes(name) || supported.magicWords.has(name);
+        default:
+            return supported.specialPages.has(name.toLowerCase());
+    }
+}
+
+/**
+ * How a construct is written, for reports
+ * @param {{type: string, name: string}} construct - Entry of findConstructs()
+ * @returns {string} - e.g. "<query>", "{{#subtitle:}}", "{{PAGENAME}}", "__NOTOC__", "Special:RecordWizard"
+ */
+function formatConstruct({ type, name }) {
+    switch (type) {
+        case 'tag':
+            return `<${name}>`;
+        case 'parser function':
+            return `{{${name}:}}`;
+        case 'magic word':
+            return name.startsWith('__') ? name : `{{${name}}}`;
+        default:
+            return `Special:${name}`;
+    }
+}
+
+/**
+ * Collect the constructs used by the pages of the dumps
+ * @param {Object} supported - Result of loadSupportedConstructs()
+ * @returns {{addPage: function(string, string, string|null): void, constructs: function(): Array<Object>}}
+ *   addPage() takes the title of a page, its raw wikitext as read from its dump, and its raw wikitext
+ *   once cleaned (null when the page is not migrated); constructs() gives
+ *   [{type, name, construct, supported, uses, pages, remaining}], pages being the titles of the pages
+ *   using the construct and remaining those still using it once cleaned, the unsupported constructs first
+ */
+function createConstructInventory(supported) {
+    const inventory = new Map();
+
+    const entryOf = construct => {
+        const key = `${construct.type}\n${construct.name}`;
+        if (!inventory.has(key)) {
+            inventory.set(key, {
+                type: construct.type,
+                name: construct.name,
+                construct: formatConstruct(construct),
+                supported: isSupported(construct, supported),
+                uses: 0,
+                pages: new Set(),
+                remaining: new Set()
+            });
+        }
+        return inventory.get(key);
+    };
+
+    return {
+        addPage(title, text, cleanedText) {
+            findConstructs(text).forEach(construct => {
+                const entry = entryOf(construct);
+                entry.uses++;
+                entry.pages.add(title);
+            });
+            if (cleanedText !== null) {
+                findConstructs(cleanedText).forEach(construct => entryOf(construct).remaining.add(title));
+            }
+        },
+        constructs() {
+            return Array.from(inventory.values())
+                .filter(entry => entry.uses > 0 || entry.remaining.size > 0)
+                .map(entry => ({ ...entry, pages: Array.from(entry.pages), remaining: Array.from(entry.remaining) }))
+                .sort((a, b) => a.supported - b.supported
+                    || TYPES.indexOf(a.type) - TYPES.indexOf(b.type)
+                    || b.pages.length - a.pages.length
+                    || a.name.localeCompare(b.name));
+        }
+    };
+}
+
+/**
+ * Write the constructs of an inventory, in CSV if the file name ends with .csv, in JSON otherwise
+ * @param {string} file - Path of the report to create
+ * @param {Array<Object>} constructs - Result of the constructs() of createConstructInventory()
+ * @param {string} wiki - Name of the target wiki
+ */
+function writeConstructReport(file, constructs, wiki) {
+    if (path.extname(file).toLowerCase() === '.csv') {
+        const columns = ['type', 'construct', 'supported', 'uses', 'pages', 'remaining'];
+        const lines = constructs.map(entry => columns.map(column => csvField(Array.isArray(entry[column])
+            ? entry[column].join('; ')
+            : entry[column])).join(','));
+        fs.writeFileSync(file, [columns.join(',')].concat(lines).join('\n') + '\n');
+    } else {
+        fs.writeFileSync(file, JSON.stringify({ wiki, constructs }, null, 2) + '\n');
+    }
+}
+
+module.exports = { TYPES, loadSupportedConstructs, findConstructs, findTransclusions, isSupported, formatConstruct, createConstructInventory, writeConstructReport };
@@ -0,0 +1,56 @@
+// contributors.js - Map the revision authors of Lingua Libre to Commons accounts
+//
+// Special:Import attributes each revision to the <username> of its <contributor>.
+// json/contributors.json maps Lingua Libre usernames to their Commons account:
+//   { "prefix": "lingualibre", "users": { "Lingua Libre name": "Commons name" } }
+// Usernames without a mapping fall back to an interwiki-prefixed name ("lingualibre>Name"),
+// the form Special:Import gives to users unknown on the target wiki. The <id> of a
+// rewritten contributor refers to the Lingua Libre user table, so it is removed.
+// IP addresses, deleted contributors and already prefixed names are left as they are.
+
+const fs = require('fs');
+const { getElement, setElement } = require('./page');
+
+/**
+ * Load a contributor mapping file
+ * @param {string} mappingPath - Path to the JSON file
+ * @returns {{prefix: string, users: Map<string, string>}}
+ */
+function loadContributorMap(mappingPath) {
+    const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+    if (typeof mapping.prefix !== 'string' || !/^[a-z0-9-]+$/i.test(mapping.prefix)) {
+        throw new Error('"prefix" must be an interwiki prefix (e.g., "lingualibre")');
+    }
+    return { prefix: mapping.prefix, users: new Map(Object.entries(mapping.users || {})) };
+}
+
+/**
+ * Rewrite the contributors of the revisions of a page
+ * @param {Array<Object>} revisions - Revisions of a page returned by parsePage(), updated in place
+ * @param {{prefix: string, users: Map<string, string>}} contributorMap - Result of loadContributorMap()
+ * @param {Map<string, number>} unmapped - Revision counts of the usernames that got the prefix, updated in place
+ * @returns {number} - Number of revisions whose contributor was rewritten
+ */
+function mapContributors(revisions, contributorMap, unmapped) {
+    let count = 0;
+    for (const revision of revisions) {
+        const match = revision.before.match(/<contributor>[\s\S]*?<\/contributor>/);
+        const username = match ? getElement(match[0], 'username') : null;
+        if (username === null || username.includes('>')) {
+            continue;
+        }
+
+        let newName = contributorMap.users.get(username);
+        if (!newName) {
+            newName = `${contributorMap.prefix}>${username}`;
+            unmapped.set(username, (unmapped.get(username) || 0) + 1);
+        }
+        const contributor = setElement(match[0], 'username', newName).replace(/\s*<id>[^<]*<\/id>/, '');
+        revision.before = revision.before.substring(0, match.index) + contributor
+            + revision.before.substring(match.index + match[0].length);
+        count++;
+    }
+    return count;
+}
+
+module.exports = { loadContributorMap, mapContributors };
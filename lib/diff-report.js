@@ -0,0 +1,111 @@
+// diff-report.js - Write the changes made to each page as a .patch file or an HTML report
+//
+// Each changed page gets a header naming its old and new titles and the rules that
+// fired on it, followed by one unified diff per revision whose wikitext changed.
+// Wikitext is shown decoded, as it appears in the wiki editor. Patch output:
+//
+//   Index: LL:Bot -> Commons:Lingua Libre/Bot
+//   Rules: #21 "LL:"
+//   ===================================================================
+//   --- LL:Bot	(revision 1002)
+//   +++ Commons:Lingua Libre/Bot	(revision 1002)
+//   @@ -1,3 +1,3 @@
+//   ...
+//
+// The HTML report shows the same content, one section per page.
+
+const path = require('path');
+const { createOutput } = require('./xml-stream');
+const { encodeXml } = require('./page');
+const { unifiedHunks, formatHunks } = require('./diff');
+const { label } = require('./explain');
+
+const HTML_HEAD = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>clean-xml.js changes</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; background-color: #f5f5f5; }
+        section { background: white; border-radius: 5px; padding: 10px 20px; margin-bottom: 20px; }
+        h2 { font-size: 1.1em; }
+        .rules { color: #666; font-size: 0.9em; }
+        pre { background: #fafafa; border: 1px solid #ddd; padding: 5px; overflow-x: auto; }
+        .hunk { color: #6f42c1; }
+        .del { background: #ffeef0; display: block; }
+        .add { background: #e6ffed; display: block; }
+    </style>
+</head>
+<body>
+`;
+
+/**
+ * Open a diff report, in HTML if the file name ends with .html, as a unified diff otherwise
+ * @param {string} file - Path of the report to create
+ * @returns {{addPage: function(Object): Promise<boolean>, end: function(): Promise<number>}}
+ *   addPage() takes {oldTitle, newTitle, rules, revisions: [{label, oldText, newText}]} and
+ *   resolves to false when nothing changed; end() resolves to the number of pages written
+ */
+function createDiffReport(file) {
+    const html = path.extname(file).toLowerCase() === '.html';
+    const output = createOutput(file);
+    const ready = html ? output.write(HTML_HEAD) : Promise.resolve();
+    let pagesCount = 0;
+
+    function formatPatchPage({ oldTitle, newTitle, rules }, diffs) {
+        let out = `Index: ${oldTitle === newTitle ? oldTitle : `${oldTitle} -> ${newTitle}`}\n`;
+        out += `Rules: ${rules.length > 0 ? rules.map(label).join(', ') : 'none'}\n`;
+        out += '===================================================================\n';
+        for (const { label: revision, hunks } of diffs) {
+            out += `--- ${oldTitle}\t(${revision})\n+++ ${newTitle}\t(${revision})\n${formatHunks(hunks)}`;
+        }
+        return out;
+    }
+
+    function formatHtmlPage({ oldTitle, newTitle, rules }, diffs) {
+        const title = oldTitle === newTitle
+            ? encodeXml(oldTitle)
+            : `<del>${encodeXml(oldTitle)}</del> → <ins>${encodeXml(newTitle)}</ins>`;
+        let out = `<section>\n<h2>${title}</h2>\n`;
+        out += `<p class="rules">Rules: ${encodeXml(rules.length > 0 ? rules.map(label).join(', ') : 'none')}</p>\n`;
+        for (const { label: revision, hunks } of diffs) {
+            out += `<h3>${encodeXml(revision)}</h3>\n<pre>`;
+            for (const hunk of hunks) {
+                out += `<span class="hunk">@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</span>\n`;
+                out += hunk.lines.map(({ type, line }) => {
+                    const escaped = encodeXml(type + line);
+                    return type === '-' ? `<span class="del">${escaped}</span>`
+                        : type === '+' ? `<span class="add">${escaped}</span>`
+                        : `${escaped}\n`;
+                }).join('');
+            }
+            out += '</pre>\n';
+        }
+        return out + '</section>\n';
+    }
+
+    return {
+        async addPage(page) {
+            const diffs = page.revisions
+                .map(revision => ({ label: revision.label, hunks: unifiedHunks(revision.oldText, revision.newText) }))
+                .filter(diff => diff.hunks.length > 0);
+            if (diffs.length === 0 && page.oldTitle === page.newTitle) {
+                return false;
+            }
+            await ready;
+            pagesCount++;
+            await output.write(html ? formatHtmlPage(page, diffs) : formatPatchPage(page, diffs));
+            return true;
+        },
+        async end() {
+            await ready;
+            if (html) {
+                await output.write(`<p>${pagesCount} pages changed.</p>\n</body>\n</html>\n`);
+            }
+            await output.end();
+            return pagesCount;
+        }
+    };
+}
+
+module.exports = { createDiffReport };
@@ -0,0 +1,240 @@
+// diff.js - Line diffs between two versions of a text, grouped in unified diff hunks
+//
+// diffLines() sets the common head and tail aside and runs the Myers algorithm on
+// the lines in between. Rules usually touch a few lines of a page, so the edit
+// distance stays small. Past MAX_EDIT_DISTANCE, the texts are first cut at the lines
+// that appear once in each of them (as "patience diff" does), and only what is left
+// without such anchors is reported as removed then added as a whole.
+
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Shortest edit script between two arrays of lines (Myers, "An O(ND) Difference Algorithm")
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<{type: string, line: string}>|null} - Operations in order, or null past MAX_EDIT_DISTANCE
+ */
+function shortestEditScript(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // trace[d] holds the furthest x reached on diagonals -d..d after d edits
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+        }
+        trace.push(v.slice(offset - d, offset + d + 1));
+        if (v[offset + n - m] >= n && Math.abs(n - m) <= d) {
+            return backtrack(a, b, trace);
+        }
+    }
+    return null;
+}
+
+// Walk the trace back from (n, m) to (0, 0) and list the operations
+function backtrack(a, b, trace) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const previous = trace[d - 1];
+        const k = x - y;
+        const furthest = diagonal => previous[diagonal + d - 1];
+        const previousK = k === -d || (k !== d && furthest(k - 1) < furthest(k + 1)) ? k + 1 : k - 1;
+        const previousX = furthest(previousK);
+        const previousY = previousX - previousK;
+        // The edit lands on (startX, startY), then a snake of equal lines leads to (x, y)
+        const startX = previousK === k + 1 ? previousX : previousX + 1;
+        const startY = startX - k;
+
+        while (x > startX && y > startY) {
+            ops.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (previousK === k + 1) {
+            ops.push({ type: '+', line: b[--y] });
+        } else {
+            ops.push({ type: '-', line: a[--x] });
+        }
+    }
+    while (x > 0) {
+        ops.push({ type: ' ', line: a[--x] });
+    }
+    return ops.reverse();
+}
+
+/**
+ * Pair the lines that appear exactly once in both arrays, keeping their order in both
+ * @param {Array<string>} a - Old lines
+ * @param {Array<string>} b - New lines
+ * @returns {Array<Array<number>>} - [index in a, index in b] pairs, increasing in both
+ */
+function uniqueAnchors(a, b) {
+    const count = lines => {
+        const counts = new Map();
+        lines.forEach((line, i) => counts.set(line, counts.has(line) ? -1 : i));
+        return counts;
+    };
+    const inA = count(a);
+    const inB = count(b);
+    const pairs = [];
+    inA.forEach((i, line) => {
+        if (i !== -1 && inB.has(line) && inB.get(line) !== -1) {
+            pairs.push([i, inB.get(line)]);
+        }
+    });
+
+    // Longest increasing subsequence of the b indices, by patience sorting
+    const piles = [];
+    const previous = new Array(pairs.length);
+    pairs.forEach((pair, i) => {
+        let low = 0;
+        let high = piles.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (pairs[piles[middle]][1] < pair[1]) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        previous[i] = low > 0 ? piles[low - 1] : -1;
+        piles[low] = i;
+    });
+    const anchors = [];
+    for (let i = piles.length > 0 ? piles[piles.length - 1] : -1; i !== -1; i = previous[i]) {
+        anchors.push(pairs[i]);
+    }
+    return anchors.reverse();
+}
+
+// Diff two arrays of lines that have no common head or tail
+function diffMiddle(a, b) {
+    const script = shortestEditScript(a, b);
+    if (script) {
+        return script;
+    }
+    const anchors = uniqueAnchors(a, b);
+    if (anchors.length === 0) {
+        return a.map(line => ({ type: '-', line })).concat(b.map(line => ({ type: '+', line })));
+    }
+    let ops = [];
+    let lastA = 0;
+    let lastB = 0;
+    for (const [i, j] of anchors.concat([[a.length, b.length]])) {
+        ops = ops.concat(diffMiddle(a.slice(lastA, i), b.slice(lastB, j)));
+        if (i < a.length) {
+            ops.push({ type: ' ', line: a[i] });
+        }
+        lastA = i + 1;
+        lastB = j + 1;
+    }
+    return ops;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Text before cleaning
+ * @param {string} newText - Text after cleaning
+ * @returns {Array<{type: string, line: string}>} - One operation per line: ' ' kept, '-' removed, '+' added
+ */
+function diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    let head = 0;
+    while (head < a.length && head < b.length && a[head] === b[head]) {
+        head++;
+    }
+    let tail = 0;
+    while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) {
+        tail++;
+    }
+
+    return a.slice(0, head).map(line => ({ type: ' ', line }))
+        .concat(diffMiddle(a.slice(head, a.length - tail), b.slice(head, b.length - tail)))
+        .concat(a.slice(a.length - tail).map(line => ({ type: ' ', line })));
+}
+
+/**
+ * Group the changed lines of two texts in unified diff hunks
+ * @param {string} oldText - Text before cleaning
+ * @param {string} newText - Text after cleaning
+ * @param {number} [context=3] - Unchanged lines shown around each change
+ * @returns {Array<{oldStart: number, oldLines: number, newStart: number, newLines: number, lines: Array<{type: string, line: string}>}>}
+ *   Empty when the texts are identical
+ */
+function unifiedHunks(oldText, newText, context = 3) {
+    const ops = diffLines(oldText, newText);
+
+    // Old and new line counts before each operation
+    const positions = [];
+    let oldLine = 0;
+    let newLine = 0;
+    ops.forEach(op => {
+        positions.push([oldLine, newLine]);
+        if (op.type !== '+') {
+            oldLine++;
+        }
+        if (op.type !== '-') {
+            newLine++;
+        }
+    });
+
+    const changes = [];
+    ops.forEach((op, i) => {
+        if (op.type !== ' ') {
+            changes.push(i);
+        }
+    });
+
+    const hunks = [];
+    let i = 0;
+    while (i < changes.length) {
+        // Changes whose contexts touch or overlap share a hunk
+        let j = i;
+        while (j + 1 < changes.length && changes[j + 1] - changes[j] <= 2 * context + 1) {
+            j++;
+        }
+        const first = Math.max(changes[i] - context, 0);
+        const lines = ops.slice(first, Math.min(changes[j] + context, ops.length - 1) + 1);
+        const [oldPosition, newPosition] = positions[first];
+        const oldLines = lines.filter(op => op.type !== '+').length;
+        const newLines = lines.filter(op => op.type !== '-').length;
+        // A hunk without old (or new) lines starts after the line it follows
+        hunks.push({
+            oldStart: oldLines > 0 ? oldPosition + 1 : oldPosition,
+            oldLines,
+            newStart: newLines > 0 ? newPosition + 1 : newPosition,
+            newLines,
+            lines
+        });
+        i = j + 1;
+    }
+    return hunks;
+}
+
+/**
+ * Format hunks as the body of a unified diff
+ * @param {Array<Object>} hunks - Result of unifiedHunks()
+ * @returns {string} - "@@ -a,b +c,d @@" headers followed by their lines, each ending with a newline
+ */
+function formatHunks(hunks) {
+    return hunks.map(hunk => `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@\n`
+        + hunk.lines.map(({ type, line }) => type + line + '\n').join('')).join('');
+}
+
+module.exports = { diffLines, unifiedHunks, formatHunks };
@@ -0,0 +1,285 @@
+// explain.js - Trace and statically check the rules of json/replaces.json
+//
+// Rules of a scope are applied in file order and each one sees the output of the
+// previous ones. explain() records which rule (or json/templates.json entry) fired at
+// each step and the intermediate value. analyzeRules() builds a sample input from the pattern of each
+// rule and flags rules that:
+//   no-op           leave their own sample unchanged ("User:" -> "User:")
+//   shadowed        never see their sample, because earlier rules rewrite it first
+//   non-idempotent  change the result again when the whole scope is applied twice
+
+const { SCOPES, rulesForScope, isActive, applyRule, renameTemplates } = require('./rules');
+const { rewriteLinks } = require('./wikilinks');
+const { rewriteTemplateCalls, renameTemplatePage } = require('./templates');
+const { parseUnitTitle } = require('./translate');
+
+// Values standing for the character escapes of a pattern in sampleFromPattern()
+const ESCAPE_SAMPLES = { s: ' ', S: 'a', w: 'a', W: ' ', d: '0', D: 'a', n: '\n', t: '\t', b: '', B: '' };
+
+/**
+ * Apply one rule to a value the way the cleaner does for a scope
+ * @param {string} value - Title, raw wikitext or edit summary
+ * @param {Object} rule - Compiled rule
+ * @param {string} scope - Scope the rule is applied for
+ * @param {Set<string>} activatedFeatures - Features given with --activate
+ * @param {Map<Object, number>} [stats] - Replacement counts per rule, updated in place
+ * @returns {string}
+ */
+function applyInScope(value, rule, scope, activatedFeatures, stats) {
+    switch (scope) {
+        case 'wikilink-target':
+            return rewriteLinks(value, target => applyRule(target, rule, stats));
+        case 'template-name':
+            return renameTemplates(value, [rule], activatedFeatures, stats);
+        default:
+            return applyRule(value, rule, stats);
+    }
+}
+
+// Apply one json/templates.json entry to a title, or to the template calls and links of a wikitext
+function applyTemplateEntry(value, entry, scope, stats) {
+    const templateMap = new Map([[entry.match, entry]]);
+    if (scope !== 'text') {
+        return renameTemplatePage(value, templateMap, stats);
+    }
+    return rewriteLinks(rewriteTemplateCalls(value, templateMap, stats), target => renameTemplatePage(target, templateMap, stats));
+}
+
+/**
+ * Trace the rules fired on a title or a wikitext snippet
+ * @param {string} value - Title (scope "title") or wikitext (scope "text")
+ * @param {string} scope - "title", "text" or "edit-summary"
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {Set<string>} activatedFeatures - Features given with --activate
+ * @param {Map<string, Object>} [templateMap] - Template mapping from loadTemplateMap()
+ * @returns {{result: string, steps: Array<{stage: string, rule: Object, count: number, before: string, after: string}>}}
+ */
+function explain(value, scope, rules, activatedFeatures, templateMap = new Map()) {
+    // Translation units are renamed after their source page, as in lib/cleaner.js
+    const unit = scope === 'title' ? parseUnitTitle(value) : null;
+    if (unit) {
+        const { result, steps } = explain(unit.page, scope, rules, activatedFeatures, templateMap);
+        return { result: `Translations:${result}/${unit.unit}/${unit.language}`, steps };
+    }
+    // Titles and wikitext first go through the template mapping, and wikitext also goes
+    // through the link target and template name rules, as in clean-xml.js
+    const stages = scope === 'text' ? ['templates', 'text', 'wikilink-target', 'template-name']
+        : scope === 'title' ? ['templates', 'title']
+        : [scope];
+    const steps = [];
+    let result = value;
+
+    for (const stage of stages) {
+        for (const rule of stage === 'templates' ? Array.from(templateMap.values()) : rulesForScope(rules, stage)) {
+            if (!isActive(rule, activatedFeatures)) {
+                continue;
+            }
+            const stats = new Map();
+            const after = stage === 'templates'
+                ? applyTemplateEntry(result, rule, scope, stats)
+                : applyInScope(result, rule, stage, activatedFeatures, stats);
+            if (after !== result || stats.has(rule)) {
+                steps.push({ stage, rule, count: stats.get(rule) || 0, before: result, after });
+                result = after;
+            }
+        }
+    }
+
+    return { result, steps };
+}
+
+/**
+ * Build a string matched by a regex pattern, for the common constructs of replaces.json
+ * Alternations take their first branch, optional atoms are kept once and lookarounds are skipped.
+ * @param {string} pattern - Regex source
+ * @returns {string|null} - A sample, or null if the pattern uses unsupported constructs (e.g. backreferences)
+ */
+function sampleFromPattern(pattern) {
+    let pos = 0;
+    let supported = true;
+
+    function parseClass() {
+        const start = pos;
+        pos++;
+        while (pos < pattern.length && pattern[pos] !== ']') {
+            pos += pattern[pos] === '\\' ? 2 : 1;
+        }
+        pos++;
+        const source = pattern.substring(start, pos);
+        const first = source[1] === '\\' ? source[2] : source[1] === '^' ? '' : source[1];
+        const candidates = [first, 'a', 'x', 'A', '0', ' ', ':', '/', '-', '_', '.'];
+        return candidates.find(candidate => candidate && new RegExp(`^${source}$`).test(candidate)) || null;
+    }
+
+    function parseAtom() {
+        const c = pattern[pos];
+        if (c === '\\') {
+            const escaped = pattern[pos + 1];
+            pos += 2;
+            if (/[1-9]/.test(escaped)) {
+                return null;
+            }
+            return escaped in ESCAPE_SAMPLES ? ESCAPE_SAMPLES[escaped] : escaped;
+        }
+        if (c === '[') {
+            return parseClass();
+        }
+        if (c === '(') {
+            pos++;
+            const lookaround = pattern.substring(pos).match(/^\?<?[=!]/);
+            const prefix = lookaround || pattern.substring(pos).match(/^\?(?::|<[^>]+>)/);
+            if (prefix) {
+                pos += prefix[0].length;
+            }
+            const inner = parseAlternation();
+            pos++;
+            return lookaround ? '' : inner;
+        }
+        pos++;
+        if (c === '.') {
+            return 'x';
+        }
+        return c === '^' || c === '$' ? '' : c;
+    }
+
+    function parseSequence() {
+        let out = '';
+        while (pos < pattern.length && pattern[pos] !== '|' && pattern[pos] !== ')') {
+            let atom = parseAtom();
+            const quantifier = pattern.substring(pos).match(/^(?:[?*+]|\{(\d+)(?:,\d*)?\})\??/);
+            if (quantifier) {
+                pos += quantifier[0].length;
+                if (quantifier[1] && atom !== null) {
+                    atom = atom.repeat(Math.max(parseInt(quantifier[1], 10), 1));
+                }
+            }
+            if (atom === null) {
+                supported = false;
+            } else {
+                out += atom;
+            }
+        }
+        return out;
+    }
+
+    function parseAlternation() {
+        const first = parseSequence();
+        while (pattern[pos] === '|') {
+            pos++;
+            parseSequence();
+        }
+        return first;
+    }
+
+    const sample = parseAlternation();
+    return supported ? sample : null;
+}
+
+/**
+ * Build the sample input of a rule for a scope
+ * @param {Object} rule - Compiled rule
+ * @param {string} scope - Scope the rule is checked for
+ * @returns {string|null} - A value the rule matches, or null if none could be built
+ */
+function sampleFor(rule, scope) {
+    const sample = sampleFromPattern(rule.match);
+    if (sample === null || !new RegExp(rule.match, (rule.flags || '').replace('g', '')).test(sample)) {
+        return null;
+    }
+    // Link targets and template names are trimmed, so keep trailing spaces inside them
+    const name = /\s$/.test(sample) ? `${sample}X` : sample;
+    switch (scope) {
+        case 'text':
+            // lineByLine rules only apply inside <text> elements
+            return sample.includes('<text') ? sample : `<text>${sample}</text>`;
+        case 'wikilink-target':
+            return `[[${name}]]`;
+        case 'template-name':
+            return `{{${name}}}`;
+        default:
+            return sample;
+    }
+}
+
+// Short human-readable reference to a rule, a json/templates.json entry, json/sparql.json, a plugin or js/category.js
+function label(rule) {
+    switch (rule.process) {
+        case 'template':
+            return `templates.json "${rule.match}"`;
+        case 'sparql':
+            return 'sparql.json';
+        case 'plugin':
+            return `plugin "${rule.match}"`;
+        case 'category':
+            return rule.match;
+        default:
+            return `#${rule.index} "${rule.match}"`;
+    }
+}
+
+/**
+ * Flag no-op, shadowed and non-idempotent rules
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {Set<string>} activatedFeatures - Features given with --activate
+ * @returns {Array<{type: string, scope: string, rule: Object, message: string}>}
+ */
+function analyzeRules(rules, activatedFeatures) {
+    const findings = [];
+    const reportedIdempotence = new Set();
+
+    for (const scope of SCOPES) {
+        const scopeRules = rulesForScope(rules, scope).filter(rule => isActive(rule, activatedFeatures));
+        const applyAll = value => scopeRules.reduce((result, rule) => applyInScope(result, rule, scope, activatedFeatures), value);
+
+        scopeRules.forEach((rule, i) => {
+            // List rules match titles, not the text they apply to
+            const sample = rule.process === 'list' ? null : sampleFor(rule, scope);
+            if (sample === null) {
+                return;
+            }
+
+            if (applyInScope(sample, rule, scope, activatedFeatures) === sample) {
+                findings.push({ type: 'no-op', scope, rule, message: `leaves ${JSON.stringify(sample)} unchanged` });
+                return;
+            }
+
+            let value = sample;
+            const changedBy = [];
+            for (const earlier of scopeRules.slice(0, i)) {
+                const after = applyInScope(value, earlier, scope, activatedFeatures);
+                if (after !== value) {
+                    changedBy.push(earlier);
+                    value = after;
+                }
+            }
+            if (changedBy.length > 0 && applyInScope(value, rule, scope, activatedFeatures) === value) {
+                findings.push({
+                    type: 'shadowed',
+                    scope,
+                    rule,
+                    message: `${JSON.stringify(sample)} becomes ${JSON.stringify(value)} through ${changedBy.map(label).join(', ')} before reaching it`
+                });
+            }
+
+            const once = applyAll(sample);
+            const twice = applyAll(once);
+            if (twice !== once) {
+                const culprits = scopeRules.filter(candidate => applyInScope(once, candidate, scope, activatedFeatures) !== once);
+                const key = scope + culprits.map(culprit => culprit.index).join(',');
+                if (!reportedIdempotence.has(key)) {
+                    reportedIdempotence.add(key);
+                    findings.push({
+                        type: 'non-idempotent',
+                        scope,
+                        rule: culprits[0] || rule,
+                        message: `${JSON.stringify(sample)} gives ${JSON.stringify(once)} then ${JSON.stringify(twice)} (fired again: ${culprits.map(label).join(', ')})`
+                    });
+                }
+            }
+        });
+    }
+
+    return findings;
+}
+
+module.exports = { explain, analyzeRules, sampleFromPattern, label };
@@ -0,0 +1,115 @@
+// fixtures.js - Load and run the test fixtures of json/replaces.tests.json
+//
+// Each fixture gives a "scope" (title, text or edit-summary), an "input" and what it
+// "expects" once cleaned. Text fixtures may give the "title" of their page, which
+// list rules need. "expects" is either a string, valid whatever features are
+// activated, or an object keyed by feature set: "" for no feature, "list" for
+// --activate=list, "a,b" (sorted) for --activate=a --activate=b. Feature sets that
+// have no key of their own use the "" key.
+// Inputs and expectations are written as in the dumps, XML-escaped. Text and edit-summary
+// fixtures are cleaned as the only revision of a page, so that the transform plugins of
+// json/plugins.json run on them as they do on the pages of the dumps. A fixture may give
+// the "plugins" it runs with instead, as entries of the json/plugins.json format.
+
+const fs = require('fs');
+const { getElement, parsePage } = require('./page');
+const { splitTitle } = require('./namespaces');
+
+/**
+ * Load the fixtures of a replaces.tests.json file
+ * @param {string} testsPath - Path to the JSON file
+ * @returns {Array<{scope: string, input: string, expects: string|Object, title: string|undefined, plugins: Array<Object>|undefined}>}
+ */
+function loadFixtures(testsPath) {
+    return JSON.parse(fs.readFileSync(testsPath, 'utf8')).tests;
+}
+
+/**
+ * List every combination of the features that rules require
+ * @param {Array<Object>} rules - Compiled rules
+ * @returns {Array<Set<string>>} - From the empty set to the set of all features
+ */
+function featureCombinations(rules) {
+    const features = Array.from(new Set(rules.filter(rule => rule.requires).map(rule => rule.requires))).sort();
+    return features.reduce(
+        (combinations, feature) => combinations.concat(combinations.map(combination => new Set([...combination, feature]))),
+        [new Set()]
+    );
+}
+
+/**
+ * Key of a feature set in the "expects" object of a fixture
+ * @param {Set<string>} features - Activated features
+ * @returns {string}
+ */
+function featureKey(features) {
+    return Array.from(features).sort().join(',');
+}
+
+/**
+ * Expected output of a fixture for a feature set
+ * @param {Object} fixture - Fixture from loadFixtures()
+ * @param {Set<string>} features - Activated features
+ * @returns {string}
+ */
+function expectedFor(fixture, features) {
+    if (typeof fixture.expects === 'string') {
+        return fixture.expects;
+    }
+    const key = featureKey(features);
+    return key in fixture.expects ? fixture.expects[key] : fixture.expects[''];
+}
+
+/**
+ * Build the page that holds a text or edit-summary fixture
+ * @param {Object} fixture - Fixture from loadFixtures()
+ * @returns {Object} - Page as returned by parsePage(), titled after the fixture ("Fixture" without title)
+ */
+function fixturePage(fixture) {
+    const title = fixture.title || 'Fixture';
+    const namespace = splitTitle(title).namespace;
+    const text = fixture.scope === 'text' ? fixture.input : '';
+    // Fixtures may give a whole <text> element, or only its content
+    const element = text.startsWith('<text') ? text : `<text bytes="" sha1="" xml:space="preserve">${text}</text>`;
+    const page = parsePage([
+        '<page>',
+        `    <title>${title}</title>`,
+        `    <ns>${namespace ? namespace.id : 0}</ns>`,
+        '    <id>1</id>',
+        '    <revision>',
+        '      <id>1</id>',
+        '      <timestamp>2024-01-01T00:00:00Z</timestamp>',
+        ...(fixture.scope === 'edit-summary' ? [`      <comment>${fixture.input}</comment>`] : []),
+        '      <model>wikitext</model>',
+        '      <format>text/x-wiki</format>',
+        `      ${element}`,
+        '      <sha1></sha1>',
+        '    </revision>',
+        '  </page>'
+    ].join('\n'));
+    return page;
+}
+
+/**
+ * Clean the input of a fixture with the function of its scope
+ * @param {Object} fixture - Fixture from loadFixtures()
+ * @param {Object} cleaner - Result of createCleaner()
+ * @param {Map<Object, number>} stats - Replacement counts per rule, updated in place
+ * @returns {string}
+ */
+function runFixture(fixture, cleaner, stats) {
+    switch (fixture.scope) {
+        case 'title':
+            return cleaner.transformTitle(fixture.input, stats);
+        case 'edit-summary':
+            return getElement(cleaner.cleanPage(fixturePage(fixture), stats, new Map()).revisions[0].before, 'comment');
+        case 'text': {
+            const text = cleaner.cleanPage(fixturePage(fixture), stats, new Map()).revisions[0].text;
+            return fixture.input.startsWith('<text') ? text : text.match(/^<text\b[^>]*>([\s\S]*)<\/text>$/)[1];
+        }
+        default:
+            throw new Error(`Unknown fixture scope "${fixture.scope}" for input: ${fixture.input}`);
+    }
+}
+
+module.exports = { loadFixtures, featureCombinations, featureKey, expectedFor, runFixture };
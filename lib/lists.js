@@ -0,0 +1,196 @@
+// lists.js - Convert List:* pages to the {{Lingua Libre list}} format of Commons
+//
+// Lingua Libre lists are free-form wikitext: one item per line, with or without
+// "#" / "*" markers, sometimes with templates, tables, comments or categories around.
+// convertList() sorts the lines out:
+//   items       list lines and plain lines, deduplicated, written back as "# item"
+//   categories  [[Category:...]] lines, moved after the items
+//   other       templates, tables, comments, headings... kept verbatim where they are,
+//               so that the sections of a list keep their items
+// and writes a {{Lingua Libre list}} header whose parameters come from, by priority,
+// the existing header of the page, then what the title and items tell:
+//   code        language of the title, "List:Fra/Animals" -> "fra", "List:Fa-AF/..." -> "fa-AF"
+//   items       "sentence" when most items are sentences, "word" otherwise
+//   dictionary  "true" when the title says so, or when most items read "headword - definition"
+const { topLevelIndexes } = require('./templates');
+
+const TEMPLATE_NAME = 'Lingua Libre list';
+const PARAMETERS = ['code', 'quality', 'method', 'items', 'dictionary'];
+
+// Language tags as used in list titles: ISO 639 code, then script, region or variant subtags
+const LANGUAGE_TAG_REGEX = /^[A-Za-z]{2,3}(?:-[A-Za-z0-9]{1,8})*$/;
+const SENTENCE_END_REGEX = /[.!?…。！？؟]$/;
+const DEFINITION_REGEX = /\S\s+[-–—:=]\s+\S|\t/;
+
+/**
+ * Language code of a list, from its title
+ * @param {string} title - e.g. "List:Fra/Animals"
+ * @returns {string} - e.g. "fra", '' if the title has no language prefix
+ */
+function languageCode(title) {
+    const match = title.match(/^\s*List\s*:\s*([^/]+)\//i);
+    if (!match || !LANGUAGE_TAG_REGEX.test(match[1].trim())) {
+        return '';
+    }
+    // Titles capitalise the first letter, and some the whole code (List:ENG/...): the language
+    // subtag is lowercase, the script and region subtags are kept as written (fa-AF)
+    const [language, ...subtags] = match[1].trim().split('-');
+    return [language.toLowerCase()].concat(subtags).join('-');
+}
+
+// Take the first {{Lingua Libre list}} call out of a wikitext, with its named parameters
+function extractHeader(wikitext) {
+    const start = wikitext.search(/\{\{\s*[Ll]ingua[ _]Libre[ _]list\s*(?=\||\}\})/);
+    if (start === -1) {
+        return { parameters: new Map(), rest: wikitext };
+    }
+    let depth = 0;
+    let end = start;
+    do {
+        if (wikitext.startsWith('{{', end)) {
+            depth++;
+            end += 2;
+        } else if (wikitext.startsWith('}}', end)) {
+            depth--;
+            end += 2;
+        } else {
+            end++;
+        }
+    } while (depth > 0 && end < wikitext.length);
+
+    const parameters = new Map();
+    const body = wikitext.substring(start + 2, end - 2);
+    // Values may hold links and templates, [[a|b]] or {{x|y=z}}
+    const bars = topLevelIndexes(body, '|');
+    const parts = bars.map((bar, index) => body.substring(bar + 1, index + 1 < bars.length ? bars[index + 1] : body.length));
+    for (const part of parts) {
+        const equals = topLevelIndexes(part, '=')[0];
+        if (equals !== undefined) {
+            parameters.set(part.substring(0, equals).trim(), part.substring(equals + 1).trim());
+        }
+    }
+    return { parameters, rest: wikitext.substring(0, start) + wikitext.substring(end) };
+}
+
+/**
+ * Sort the lines of a list page into items, categories and other content
+ * @param {string} wikitext - Decoded wikitext, without its {{Lingua Libre list}} header
+ * @returns {{items: Array<string>, categories: Array<string>, other: Array<string>, lines: Array<{item: string}|{other: string}>}}
+ *   lines holds the items and other lines in the order of the page
+ */
+function parseListLines(wikitext) {
+    const items = [];
+    const categories = [];
+    const other = [];
+    const lines = [];
+    const addItem = item => {
+        items.push(item);
+        lines.push({ item });
+    };
+    const addOther = line => {
+        other.push(line);
+        lines.push({ other: line });
+    };
+    // Open {{templates}}, {| tables |} and <!-- comments --> spanning several lines
+    let depth = 0;
+    let inComment = false;
+
+    for (const line of wikitext.split('\n')) {
+        const trimmed = line.trim();
+        const wasInside = depth > 0 || inComment;
+
+        for (let i = 0; i < line.length; i++) {
+            if (inComment) {
+                if (line.startsWith('-->', i)) {
+                    inComment = false;
+                    i += 2;
+                }
+            } else if (line.startsWith('<!--', i)) {
+                inComment = true;
+                i += 3;
+            } else if (line.startsWith('{{', i) || line.startsWith('{|', i)) {
+                depth++;
+                i++;
+            } else if ((line.startsWith('}}', i) || line.startsWith('|}', i)) && depth > 0) {
+                depth--;
+                i++;
+            }
+        }
+
+        if (wasInside || depth > 0 || inComment) {
+            addOther(line);
+        } else if (!trimmed) {
+            continue;
+        } else if (/^\[\[\s*:?\s*Category\s*:/i.test(trimmed)) {
+            categories.push(trimmed);
+        } else if (/^[*#]/.test(trimmed)) {
+            const item = trimmed.replace(/^[*#:;]+\s*/, '');
+            if (item) {
+                addItem(item);
+            }
+        } else if (/^[{[<|!=_:;]/.test(trimmed)) {
+            addOther(line);
+        } else {
+            addItem(trimmed);
+        }
+    }
+    return { items, categories, other, lines };
+}
+
+// Whether most of the items pass a test
+function most(items, test) {
+    return items.length > 0 && items.filter(test).length * 2 > items.length;
+}
+
+/**
+ * Convert the wikitext of a List:* page
+ * @param {string} wikitext - Decoded wikitext of the page
+ * @param {string} title - Title of the page on Lingua Libre, e.g. "List:Fra/Animals"
+ * @returns {{text: string, items: Array<string>, duplicates: number}} - The new wikitext, its items and the number of duplicates removed
+ */
+function convertList(wikitext, title) {
+    const { parameters, rest } = extractHeader(wikitext);
+    const { items, categories, lines } = parseListLines(rest);
+
+    // An item is only kept where it first appears
+    const seen = new Set();
+    const uniqueLines = lines.filter(line => {
+        if (line.other !== undefined) {
+            return true;
+        }
+        const key = line.item.replace(/\s+/g, ' ');
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+    const uniqueItems = uniqueLines.filter(line => line.item !== undefined).map(line => line.item);
+
+    const isSentence = item => SENTENCE_END_REGEX.test(item) || item.split(/\s+/).length > 3;
+    const derived = {
+        code: languageCode(title),
+        quality: '',
+        method: '',
+        items: most(uniqueItems, isSentence) ? 'sentence' : 'word',
+        dictionary: /dictionar/i.test(title) || most(uniqueItems, item => DEFINITION_REGEX.test(item)) ? 'true' : 'false'
+    };
+
+    // Values already written in the page take precedence, unknown parameters are kept after the known ones
+    const header = PARAMETERS.map(name => `|${name}=${parameters.get(name) || derived[name]}`)
+        .concat(Array.from(parameters).filter(([name]) => !PARAMETERS.includes(name)).map(([name, value]) => `|${name}=${value}`));
+
+    let text = `{{${TEMPLATE_NAME}\n${header.join('\n')}\n}}\n\n`;
+    // A blank line between a run of items and the headings, templates... around it
+    text += uniqueLines.map((line, index) => {
+        const written = line.item !== undefined ? `# ${line.item}` : line.other;
+        const previous = uniqueLines[index - 1];
+        return index > 0 && (previous.item !== undefined) !== (line.item !== undefined) ? `\n${written}` : written;
+    }).join('\n');
+    if (categories.length > 0) {
+        text += '\n\n' + categories.join('\n');
+    }
+    return { text, items: uniqueItems, duplicates: items.length - uniqueItems.length };
+}
+
+module.exports = { languageCode, parseListLines, convertList };
@@ -0,0 +1,194 @@
+// namespaces.js - Lingua Libre namespaces and the page selection of their js/*.js modules
+//
+// json/namespaces.json lists the inventoried namespaces and their migration status.
+// As in js/listing.js, each of them is backed by the js/<name>.js module whose lowercase
+// name matches the namespace, and whose cleaner() keeps the pages to migrate out of a
+// list of titles. Namespaces with a "Discard" status are dropped as a whole.
+
+const fs = require('fs');
+const path = require('path');
+
+const namespacesPath = path.join(__dirname, '..', 'json', 'namespaces.json');
+
+// Namespaces that exist on Lingua Libre but are not inventoried in json/namespaces.json
+const OTHER_NAMESPACES = [
+    { id: -2, name: 'Media' },
+    { id: -1, name: 'Special' },
+    { id: 1, name: 'Talk' },
+    { id: 3, name: 'User talk' },
+    { id: 5, name: 'LinguaLibre talk' },
+    { id: 6, name: 'File' },
+    { id: 7, name: 'File talk' },
+    { id: 9, name: 'MediaWiki talk' },
+    { id: 11, name: 'Template talk' },
+    { id: 13, name: 'Help talk' },
+    { id: 15, name: 'Category talk' },
+    { id: 143, name: 'List talk' }
+];
+
+const ALIASES = {
+    'project': 'LinguaLibre',
+    'll': 'LinguaLibre',
+    'image': 'File'
+};
+
+// Interwiki prefixes used in Lingua Libre pages; language codes are listed separately
+const INTERWIKIS = [
+    'lingualibre', 'c', 'commons', 'meta', 'm', 'mw', 'mediawikiwiki', 'd', 'wikidata',
+    'w', 'wikipedia', 'wikt', 'wiktionary', 'phab', 'phabricator', 'toolforge', 'wmf',
+    'foundation', 'outreach', 'species', 's', 'wikisource', 'q', 'wikiquote', 'b',
+    'wikibooks', 'v', 'wikiversity', 'n', 'wikinews', 'voy', 'wikivoyage', 'github'
+];
+
+// Language prefixes of the Wikimedia interwiki map, those of the Wikipedias
+const LANGUAGES = [
+    'aa', 'ab', 'ace', 'ady', 'af', 'ak', 'als', 'alt', 'am', 'ami', 'an', 'ang', 'anp', 'ar', 'arc',
+    'ary', 'arz', 'as', 'ast', 'atj', 'av', 'avk', 'awa', 'ay', 'az', 'azb', 'ba', 'ban', 'bar',
+    'bat-smg', 'bbc', 'bcl', 'be', 'be-tarask', 'be-x-old', 'bew', 'bg', 'bh', 'bi', 'bjn', 'blk', 'bm',
+    'bn', 'bo', 'bpy', 'br', 'bs', 'btm', 'bug', 'bxr', 'ca', 'cbk-zam', 'cdo', 'ce', 'ceb', 'ch',
+    'cho', 'chr', 'chy', 'ckb', 'co', 'cr', 'crh', 'cs', 'csb', 'cu', 'cv', 'cy', 'da', 'dag', 'de',
+    'dga', 'din', 'diq', 'dsb', 'dtp', 'dty', 'dv', 'dz', 'ee', 'el', 'eml', 'en', 'eo', 'es', 'et',
+    'eu', 'ext', 'fa', 'fat', 'ff', 'fi', 'fiu-vro', 'fj', 'fo', 'fon', 'fr', 'frp', 'frr', 'fur', 'fy',
+    'ga', 'gag', 'gan', 'gcr', 'gd', 'gl', 'glk', 'gn', 'gom', 'gor', 'got', 'gpe', 'gu', 'guc', 'gur',
+    'guw', 'gv', 'ha', 'hak', 'haw', 'he', 'hi', 'hif', 'ho', 'hr', 'hsb', 'ht', 'hu', 'hy', 'hyw',
+    'hz', 'ia', 'iba', 'id', 'ie', 'ig', 'igl', 'ii', 'ik', 'ilo', 'inh', 'io', 'is', 'it', 'iu', 'ja',
+    'jam', 'jbo', 'jv', 'ka', 'kaa', 'kab', 'kbd', 'kbp', 'kcg', 'kg', 'kge', 'ki', 'kj', 'kk', 'kl',
+    'km', 'kn', 'knc', 'ko', 'koi', 'kr', 'krc', 'ks', 'ksh', 'ku', 'kus', 'kv', 'kw', 'ky', 'la',
+    'lad', 'lb', 'lbe', 'lez', 'lfn', 'lg', 'li', 'lij', 'lld', 'lmo', 'ln', 'lo', 'lrc', 'lt', 'ltg',
+    'lv', 'lzh', 'mad', 'mai', 'map-bms', 'mdf', 'mg', 'mh', 'mhr', 'mi', 'min', 'mk', 'ml', 'mn',
+    'mni', 'mnw', 'mo', 'mos', 'mr', 'mrj', 'ms', 'mt', 'mus', 'mwl', 'my', 'myv', 'mzn', 'na', 'nah',
+    'nan', 'nap', 'nds', 'nds-nl', 'ne', 'new', 'ng', 'nia', 'nl', 'nn', 'no', 'nov', 'nqo', 'nr',
+    'nrm', 'nso', 'nup', 'nv', 'ny', 'oc', 'olo', 'om', 'or', 'os', 'pa', 'pag', 'pam', 'pap', 'pcd',
+    'pcm', 'pdc', 'pfl', 'pi', 'pih', 'pl', 'pms', 'pnb', 'pnt', 'ps', 'pt', 'pwn', 'qu', 'rki', 'rm',
+    'rmy', 'rn', 'ro', 'roa-rup', 'roa-tara', 'rsk', 'ru', 'rue', 'rup', 'rw', 'sa', 'sah', 'sat', 'sc',
+    'scn', 'sco', 'sd', 'se', 'sg', 'sgs', 'sh', 'shi', 'shn', 'shy-latn', 'si', 'simple', 'sk', 'skr',
+    'sl', 'sm', 'smn', 'sn', 'so', 'sq', 'sr', 'srn', 'ss', 'st', 'stq', 'su', 'sv', 'sw', 'syl', 'szl',
+    'szy', 'ta', 'tay', 'tcy', 'tdd', 'te', 'tet', 'tg', 'th', 'ti', 'tig', 'tk', 'tl', 'tly', 'tn',
+    'to', 'tok', 'tpi', 'tr', 'trv', 'ts', 'tt', 'tum', 'tw', 'ty', 'tyv', 'udm', 'ug', 'uk', 'ur',
+    'uz', 've', 'vec', 'vep', 'vi', 'vls', 'vo', 'vro', 'wa', 'war', 'wo', 'wuu', 'xal', 'xh', 'xmf',
+    'yi', 'yo', 'yue', 'za', 'zea', 'zgh', 'zh', 'zh-classical', 'zh-min-nan', 'zh-yue', 'zu'
+];
+
+// Names of the namespaces as Lingua Libre writes them, where the titles of json/namespaces.json,
+// also used by js/listing.js as labels and storage keys, differ
+const CANONICAL_NAMES = {
+    'lingualibre': 'LinguaLibre'
+};
+
+const namespaces = JSON.parse(fs.readFileSync(namespacesPath, 'utf8'))
+    .map(ns => {
+        const title = ns.title.replace(':*', '');
+        const name = CANONICAL_NAMES[title.toLowerCase()] || title;
+        return { id: ns.id, name, module: name.toLowerCase(), discard: ns.status.includes('Discard') };
+    })
+    .concat(OTHER_NAMESPACES);
+
+const namespacesByName = new Map(namespaces.map(ns => [ns.name.toLowerCase(), ns]));
+
+/**
+ * Find a namespace from its name or alias, case-insensitively
+ * @param {string} name - Namespace name (spaces or underscores)
+ * @returns {Object|null} - {id, name, module, discard}, or null if unknown
+ */
+function findNamespace(name) {
+    const key = name.trim().replace(/_/g, ' ').toLowerCase();
+    return namespacesByName.get(key) || namespacesByName.get((ALIASES[key] || '').toLowerCase()) || null;
+}
+
+/**
+ * Whether a title prefix is an interwiki prefix
+ * @param {string} prefix - e.g. "w", "fr", "LL"
+ * @returns {boolean}
+ */
+function isInterwikiPrefix(prefix) {
+    // Language codes are lowercase, as written in links: "De:" or "Is:" start a title
+    return INTERWIKIS.includes(prefix.trim().toLowerCase()) || LANGUAGES.includes(prefix.trim());
+}
+
+/**
+ * Split a title or link target into interwiki prefix, namespace and page name
+ * @param {string} title - e.g. "LL:Bot", ":Category:Tool", "w:fr:Bonjour"
+ * @returns {{interwiki: string|null, namespace: Object|null, page: string}}
+ *   namespace is null for the main namespace, page is '' when the title only has an anchor
+ */
+function splitTitle(title) {
+    const trimmed = title.trim().replace(/^:\s*/, '');
+    const colon = trimmed.indexOf(':');
+    if (colon === -1) {
+        return { interwiki: null, namespace: null, page: trimmed };
+    }
+
+    const prefix = trimmed.substring(0, colon);
+    const rest = trimmed.substring(colon + 1);
+    const namespace = findNamespace(prefix);
+    if (namespace) {
+        return { interwiki: null, namespace, page: rest.trim() };
+    }
+    if (isInterwikiPrefix(prefix)) {
+        return { interwiki: prefix.trim().toLowerCase(), namespace: null, page: rest };
+    }
+    return { interwiki: null, namespace: null, page: trimmed };
+}
+
+/**
+ * Give the canonical form of a local title, as listed in the js/*.js modules
+ * @param {string} title - Title or link target, without anchor
+ * @returns {string|null} - e.g. "LinguaLibre:Main Page" for "LL:main_Page", or null for interwiki titles
+ */
+function normalizeTitle(title) {
+    const { interwiki, namespace, page } = splitTitle(title);
+    if (interwiki) {
+        return null;
+    }
+    const name = page.replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+    const capitalized = name.charAt(0).toUpperCase() + name.substring(1);
+    return namespace ? `${namespace.name}:${capitalized}` : capitalized;
+}
+
+const cleaners = new Map();
+
+/**
+ * Load the cleaner() of a namespace module from js/
+ * @param {Object} namespace - Namespace returned by findNamespace()
+ * @returns {function(Array<string>): Array<string>|null} - The cleaner, or null if the namespace has none
+ */
+function getCleaner(namespace) {
+    if (!namespace || !namespace.module) {
+        return null;
+    }
+    if (!cleaners.has(namespace.module)) {
+        const modulePath = path.join(__dirname, '..', 'js', `${namespace.module}.js`);
+        const dataObj = fs.existsSync(modulePath) ? require(modulePath) : null;
+        cleaners.set(namespace.module, dataObj && typeof dataObj.cleaner === 'function' ? dataObj.cleaner : null);
+    }
+    return cleaners.get(namespace.module);
+}
+
+const discardedCache = new Map();
+
+/**
+ * Check whether a title is left out of the migration by its namespace status or cleaner()
+ * Titles of other namespaces without a cleaner, and interwiki titles, are never discarded.
+ * @param {string} title - Title or link target, without anchor
+ * @returns {boolean}
+ */
+function isDiscarded(title) {
+    const normalized = normalizeTitle(title);
+    if (!normalized) {
+        return false;
+    }
+    if (!discardedCache.has(normalized)) {
+        const namespace = splitTitle(normalized).namespace;
+        const cleaner = getCleaner(namespace);
+        let discarded = false;
+        if (namespace && namespace.discard) {
+            discarded = true;
+        } else if (cleaner) {
+            discarded = cleaner([normalized]).length === 0;
+        }
+        discardedCache.set(normalized, discarded);
+    }
+    return discardedCache.get(normalized);
+}
+
+module.exports = { namespaces, findNamespace, isInterwikiPrefix, splitTitle, normalizeTitle, getCleaner, isDiscarded };
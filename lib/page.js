@@ -0,0 +1,151 @@
+// page.js - Parse and rebuild a single <page> element of a MediaWiki XML export
+//
+// Only the parts the cleaner rewrites are extracted: <title>, <ns>, <id> and the
+// <text> element of each <revision>. Everything else (<contributor>, <comment>,
+// <sha1>, ...) is kept verbatim so that serializePage() gives back the input
+// byte for byte when nothing was modified.
+
+/**
+ * Decode the XML entities used by MediaWiki exports
+ * @param {string} value - Escaped XML character data
+ * @returns {string} - Plain text
+ */
+function decodeXml(value) {
+    return value.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (entity, name) => {
+        switch (name) {
+            case 'amp': return '&';
+            case 'lt': return '<';
+            case 'gt': return '>';
+            case 'quot': return '"';
+            case 'apos': return '\'';
+            default:
+                return String.fromCodePoint(name[1] === 'x'
+                    ? parseInt(name.substring(2), 16)
+                    : parseInt(name.substring(1), 10));
+        }
+    });
+}
+
+/**
+ * Escape plain text for use as XML character data
+ * @param {string} value - Plain text
+ * @returns {string} - Escaped XML character data
+ */
+function encodeXml(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Read the decoded content of the first <name>...</name> element in an XML fragment
+ * @param {string} xml - XML fragment
+ * @param {string} name - Element name
+ * @returns {string|null} - The element content, or null if absent
+ */
+function getElement(xml, name) {
+    const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Replace the content of the first <name>...</name> element in an XML fragment
+ * @param {string} xml - XML fragment
+ * @param {string} name - Element name
+ * @param {string} value - New plain text content
+ * @returns {string} - The updated fragment
+ */
+function setElement(xml, name, value) {
+    return xml.replace(new RegExp(`<${name}>[\\s\\S]*?</${name}>`), () => `<${name}>${encodeXml(value)}</${name}>`);
+}
+
+/**
+ * Split a <page> element into its editable parts
+ * @param {string} xml - A complete <page>...</page> element
+ * @returns {{head: string, tail: string, title: string, ns: string, id: string, revisions: Array<{before: string, text: string, after: string}>}}
+ *   head/tail are the raw XML around the revisions, revision.text is the raw <text> element ('' if absent)
+ */
+function parsePage(xml) {
+    const revisionRegex = /\s*<revision>[\s\S]*?<\/revision>/g;
+    const revisions = [];
+    let headEnd = -1;
+    let tailStart = -1;
+    let match;
+
+    while ((match = revisionRegex.exec(xml)) !== null) {
+        if (headEnd === -1) {
+            headEnd = match.index;
+        }
+        tailStart = match.index + match[0].length;
+
+        const revisionXml = match[0];
+        const textMatch = revisionXml.match(/<text\b[^>]*?(?:\/>|>[\s\S]*?<\/text>)/);
+        if (textMatch) {
+            revisions.push({
+                before: revisionXml.substring(0, textMatch.index),
+                text: textMatch[0],
+                after: revisionXml.substring(textMatch.index + textMatch[0].length)
+            });
+        } else {
+            revisions.push({ before: revisionXml, text: '', after: '' });
+        }
+    }
+
+    if (headEnd === -1) {
+        // Page without revisions: everything before </page> is the head
+        headEnd = tailStart = xml.lastIndexOf('</page>');
+    }
+
+    const head = xml.substring(0, headEnd);
+    return {
+        head,
+        tail: xml.substring(tailStart),
+        title: getElement(head, 'title') || '',
+        ns: getElement(head, 'ns'),
+        id: getElement(head, 'id'),
+        revisions
+    };
+}
+
+/**
+ * Read the decoded wikitext of a raw <text> element
+ * @param {string} textXml - A revision.text from parsePage(), e.g. '<text bytes="12" xml:space="preserve">...</text>'
+ * @returns {string} - The wikitext, '' for an empty or absent element
+ */
+function getTextContent(textXml) {
+    const match = textXml.match(/^<text\b[^>]*?>([\s\S]*)<\/text>$/);
+    return match ? decodeXml(match[1]) : '';
+}
+
+/**
+ * Replace the wikitext of a raw <text> element, keeping its attributes
+ * @param {string} textXml - A revision.text from parsePage(), e.g. '<text bytes="12" xml:space="preserve">...</text>'
+ * @param {string} text - New decoded wikitext
+ * @returns {string} - The <text> element holding the new wikitext
+ */
+function setTextContent(textXml, text) {
+    const attributes = textXml.match(/^<text\b([^>]*?)\s*\/?>/)[1];
+    return `<text${attributes}>${encodeXml(text)}</text>`;
+}
+
+/**
+ * Rebuild the <page> element from a (possibly modified) parsed page
+ * @param {Object} page - Page returned by parsePage()
+ * @returns {string} - The <page>...</page> XML
+ */
+function serializePage(page) {
+    let head = page.head;
+    // Only touch elements that changed, so untouched pages keep their original escaping
+    if (page.title !== getElement(head, 'title')) {
+        head = setElement(head, 'title', page.title);
+    }
+    if (page.ns !== null && page.ns !== getElement(head, 'ns')) {
+        head = setElement(head, 'ns', page.ns);
+    }
+    const revisions = page.revisions.map(revision => revision.before + revision.text + revision.after);
+    return head + revisions.join('') + page.tail;
+}
+
+module.exports = { decodeXml, encodeXml, getElement, setElement, getTextContent, setTextContent, parsePage, serializePage };
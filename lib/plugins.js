@@ -0,0 +1,150 @@
+// plugins.js - Run JavaScript transform plugins on the pages, for what a regex cannot do
+//
+// json/plugins.json registers the plugins, which run in the order listed, either before
+// the text rules of replaces.json or after them:
+//   {
+//       "plugins": [
+//           { "module": "plugins/invoke.js", "stage": "before-rules", "options": { "module": "Lingua Libre", "modules": ["Example"] } }
+//       ]
+//   }
+// A plugin is a CommonJS module, its path being relative to the root of the repository,
+// exporting a transform(page, options) function, or {name, transform}:
+//   module.exports = {
+//       name: 'invoke',
+//       transform(page, options) {
+//           page.text = page.text.replace(...);
+//           return page;
+//       }
+//   };
+// page is a plain object: title and ns on Lingua Libre, newTitle given by the title rules,
+// text the wikitext of the latest revision, and revisions [{id, timestamp, comment, text}]
+// in dump order, wikitext and comments decoded. transform() returns the page, modified or a
+// new object. Changes to text and to the text and comment of revisions are written back
+// (only to the latest revision with --rewrite-revisions=head); titles are only renamed by
+// the title rules, as every new title must be known before the first page is written.
+// Each changed text or comment counts as one change of the plugin in the statistics.
+
+const fs = require('fs');
+const path = require('path');
+const { getElement, setElement, getTextContent, setTextContent } = require('./page');
+const { headRevision, updateTextMetadata } = require('./revisions');
+
+const rootDir = path.join(__dirname, '..');
+const STAGES = ['before-rules', 'after-rules'];
+const ENTRY_KEYS = ['module', 'stage', 'options'];
+
+/**
+ * Load the plugins of a plugin configuration file
+ * @param {string} configPath - Path to the JSON file
+ * @returns {Array<Object>} - Plugins in the order they run in their stage, each with its `match` (name),
+ *   `module` (absolute path), `stage`, `options` and `transform` function
+ */
+function loadPlugins(configPath) {
+    return compilePlugins(JSON.parse(fs.readFileSync(configPath, 'utf8')).plugins || []);
+}
+
+/**
+ * Load the plugins of a list of plugin entries
+ * @param {Array<Object>} entries - Entries of the "plugins" list of a plugin configuration file
+ * @returns {Array<Object>} - Plugins as returned by loadPlugins()
+ */
+function compilePlugins(entries) {
+    const plugins = entries.map(entry => {
+        const unknownKeys = Object.keys(entry).filter(key => !ENTRY_KEYS.includes(key));
+        if (unknownKeys.length > 0) {
+            throw new Error(`"${entry.module}": unknown key ${unknownKeys.join(', ')} (expected ${ENTRY_KEYS.join(', ')})`);
+        }
+        const stage = entry.stage || 'after-rules';
+        if (!STAGES.includes(stage)) {
+            throw new Error(`"${entry.module}": "stage" must be one of ${STAGES.join(', ')}`);
+        }
+        const modulePath = path.resolve(rootDir, entry.module || '');
+        const exported = require(modulePath);
+        const transform = typeof exported === 'function' ? exported : exported.transform;
+        if (typeof transform !== 'function') {
+            throw new Error(`"${entry.module}" exports no transform(page, options) function`);
+        }
+        const name = exported.name && typeof exported !== 'function' ? exported.name : path.basename(modulePath, '.js');
+        return { match: name, module: modulePath, stage, options: entry.options || {}, transform, process: 'plugin' };
+    });
+    const names = plugins.map(plugin => plugin.match);
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+        throw new Error(`Plugin names must be unique: ${duplicates.join(', ')}`);
+    }
+    return plugins;
+}
+
+// Count a change made by a plugin
+function count(stats, plugin) {
+    if (stats) {
+        stats.set(plugin, (stats.get(plugin) || 0) + 1);
+    }
+}
+
+/**
+ * Run plugins on a parsed page
+ * @param {Object} page - Page returned by parsePage(), its title already renamed; updated in place
+ * @param {string} originalTitle - Title of the page on Lingua Libre
+ * @param {Array<Object>} plugins - Plugins from loadPlugins() to run, in order
+ * @param {Object} [options]
+ * @param {boolean} [options.headOnly=false] - Only write back the changes to the latest revision
+ * @param {Map<Object, number>} [options.stats] - Changes per plugin, updated in place
+ * @returns {Object} - The page
+ */
+function applyPlugins(page, originalTitle, plugins, { headOnly = false, stats } = {}) {
+    for (const plugin of plugins) {
+        const head = headRevision(page.revisions);
+        const revisions = page.revisions.map(revision => ({
+            id: getElement(revision.before, 'id'),
+            timestamp: getElement(revision.before, 'timestamp'),
+            comment: getElement(revision.before, 'comment'),
+            text: getTextContent(revision.text)
+        }));
+        const headIndex = page.revisions.indexOf(head);
+        const input = {
+            title: originalTitle,
+            ns: page.ns === null ? null : Number(page.ns),
+            newTitle: page.title,
+            text: headIndex === -1 ? '' : revisions[headIndex].text,
+            revisions: revisions.map(revision => ({ ...revision }))
+        };
+
+        let output;
+        try {
+            output = plugin.transform(input, plugin.options);
+        } catch (error) {
+            throw new Error(`Plugin "${plugin.match}" failed on "${originalTitle}": ${error.message}`);
+        }
+        if (!output || typeof output !== 'object' || !Array.isArray(output.revisions) || output.revisions.length !== revisions.length) {
+            throw new Error(`Plugin "${plugin.match}" did not return the page "${originalTitle}" with its ${revisions.length} revisions`);
+        }
+        if (output.title !== originalTitle || output.newTitle !== page.title) {
+            throw new Error(`Plugin "${plugin.match}" renamed "${originalTitle}": titles are only renamed by the title rules`);
+        }
+
+        const texts = output.revisions.map(revision => revision.text);
+        // A change to text stands for a change to the latest revision
+        if (headIndex !== -1 && output.text !== revisions[headIndex].text && texts[headIndex] === revisions[headIndex].text) {
+            texts[headIndex] = output.text;
+        }
+        page.revisions.forEach((revision, index) => {
+            if (headOnly && index !== headIndex) {
+                return;
+            }
+            if (typeof texts[index] === 'string' && texts[index] !== revisions[index].text && revision.text) {
+                revision.text = setTextContent(revision.text, texts[index]);
+                updateTextMetadata(revision);
+                count(stats, plugin);
+            }
+            const comment = output.revisions[index].comment;
+            if (typeof comment === 'string' && comment !== revisions[index].comment && revisions[index].comment !== null) {
+                revision.before = setElement(revision.before, 'comment', comment);
+                count(stats, plugin);
+            }
+        });
+    }
+    return page;
+}
+
+module.exports = { loadPlugins, compilePlugins, applyPlugins };
@@ -0,0 +1,168 @@
+// red-links.js - Find the links, transclusions and categories of the cleaned pages that would be red on the target wiki
+//
+// Once imported, a page links to other pages ([[Help:Intro]], {{Localized link|...}}), transcludes
+// templates ({{Speaker}}, {{:Help:Intro}}) and sits in categories ([[Category:Lingua Libre]]).
+// A target exists on the target wiki if a migrated page takes its title, or if the wiki already
+// has it. The titles the wiki already has are read from a snapshot with one title per line,
+// either as written ("Template:Speaker") or as in the all-titles dumps of Wikimedia
+// (commonswiki-latest-all-titles.gz: "<namespace id><TAB><title>", underscores for spaces);
+// .gz snapshots are read as they are. The snapshot of Commons being huge, it is read once at
+// the end, and only for the targets that no migrated page takes.
+// Only the latest revision of each page is looked at. Special pages, interwiki links and links
+// built from templates are left out, and Media: links stand for their File: page.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { findLinks } = require('./wikilinks');
+const { findTransclusions } = require('./constructs');
+const { targetNamespace } = require('./target-namespaces');
+const { isInterwikiPrefix } = require('./namespaces');
+const { csvField } = require('./run-report');
+
+const CATEGORY_NAMESPACE = 14;
+
+/**
+ * Canonical form of a title on the target wiki
+ * @param {string} title - Decoded title or link target, e.g. "help:intro_page"
+ * @param {Object} targetNamespaces - Result of loadTargetNamespaces()
+ * @returns {{title: string, namespace: number}|null} - e.g. {title: "Help:Intro page", namespace: 12},
+ *   null for special pages, interwiki links and empty titles
+ */
+function canonicalTitle(title, targetNamespaces) {
+    const trimmed = title.trim().replace(/^:\s*/, '');
+    const namespace = targetNamespace(trimmed, targetNamespaces);
+    // Lingua Libre pages are interwiki links on the target wiki, [[:lingualibre:Special:RecordWizard]]
+    if (!namespace.name && trimmed.includes(':') && isInterwikiPrefix(trimmed.substring(0, trimmed.indexOf(':')))) {
+        return null;
+    }
+    const page = (namespace.name ? trimmed.substring(trimmed.indexOf(':') + 1) : trimmed)
+        .replace(/_/g, ' ').replace(/\s+/g, ' ').trim();
+    if (namespace.id === -1 || !page) {
+        return null;
+    }
+    const name = page.charAt(0).toUpperCase() + page.substring(1);
+    if (namespace.id === -2) {
+        return canonicalTitle(`File:${name}`, targetNamespaces);
+    }
+    return { title: namespace.name ? `${namespace.name}:${name}` : name, namespace: namespace.id };
+}
+
+// Read the titles of a snapshot, one per line
+async function* readSnapshot(snapshotPath, namespaceNames) {
+    const input = fs.createReadStream(snapshotPath);
+    const lines = readline.createInterface({
+        input: snapshotPath.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input,
+        crlfDelay: Infinity
+    });
+    for await (const line of lines) {
+        const match = line.match(/^(-?\d+)\t(.*)$/);
+        if (!match) {
+            yield line;
+        } else if (namespaceNames.has(Number(match[1]))) {
+            const name = namespaceNames.get(Number(match[1]));
+            yield name ? `${name}:${match[2]}` : match[2];
+        }
+    }
+}
+
+/**
+ * Look titles up in a snapshot of the titles of the target wiki
+ * @param {string} snapshotPath - Path of the snapshot, one title per line, .gz files being gunzipped
+ * @param {Set<string>} titles - Titles to look up, in the form given by canonicalTitle()
+ * @param {Object} targetNamespaces - Result of loadTargetNamespaces()
+ * @returns {Promise<Set<string>>} - The titles that the snapshot has
+ */
+async function findExistingTitles(snapshotPath, titles, targetNamespaces) {
+    const existing = new Set();
+    if (titles.size === 0) {
+        return existing;
+    }
+    const namespaceNames = new Map(Array.from(targetNamespaces.byName.values(), namespace => [namespace.id, namespace.name]));
+    namespaceNames.set(0, null);
+    for await (const title of readSnapshot(snapshotPath, namespaceNames)) {
+        const canonical = canonicalTitle(title, targetNamespaces);
+        if (canonical && titles.has(canonical.title)) {
+            existing.add(canonical.title);
+        }
+    }
+    return existing;
+}
+
+/**
+ * Collect the targets of the cleaned pages and find those that would be red links
+ * @param {Object} targetNamespaces - Result of loadTargetNamespaces()
+ * @param {Iterable<string>} migratedTitles - New titles of every page written
+ * @returns {{addPage: function(string, string, string): void, resolve: function(string|null): Promise<Array<Object>>}}
+ *   addPage() takes the new title of a page, its original title and its latest raw <text> element once cleaned;
+ *   resolve() takes the path of a snapshot of the titles of the target wiki (null for none) and resolves to
+ *   [{title, originalTitle, links: [{target, kind}]}], the pages with red targets in the order they were added,
+ *   kind being "link", "template" or "category"
+ */
+function createRedLinkFinder(targetNamespaces, migratedTitles) {
+    const migrated = new Set();
+    for (const title of migratedTitles) {
+        const canonical = canonicalTitle(title, targetNamespaces);
+        if (canonical) {
+            migrated.add(canonical.title);
+        }
+    }
+    const pages = [];
+    // Targets that no migrated page takes, to look up in the snapshot
+    const candidates = new Set();
+
+    return {
+        addPage(title, originalTitle, text) {
+            const targets = new Map();
+            const addTarget = (target, kind) => {
+                const canonical = canonicalTitle(target, targetNamespaces);
+                if (!canonical || migrated.has(canonical.title)) {
+                    return;
+                }
+                const actualKind = kind === 'link' && canonical.namespace === CATEGORY_NAMESPACE ? 'category' : kind;
+                targets.set(`${actualKind}\n${canonical.title}`, { target: canonical.title, kind: actualKind });
+                candidates.add(canonical.title);
+            };
+            findLinks(text).forEach(target => {
+                // Subpage links, [[/Sub]], are relative to the page
+                if (target.startsWith('/')) {
+                    addTarget(title + target.replace(/\/$/, ''), 'link');
+                } else if (!target.startsWith('../')) {
+                    addTarget(target, 'link');
+                }
+            });
+            findTransclusions(text).forEach(name => {
+                // Names without a namespace are templates, {{:Help:Intro}} transcludes a page of the main namespace
+                const namespace = targetNamespace(name.replace(/^:\s*/, ''), targetNamespaces);
+                addTarget(name.startsWith(':') || namespace.name ? name : `Template:${name}`, 'template');
+            });
+            if (targets.size > 0) {
+                pages.push({ title, originalTitle, links: Array.from(targets.values()) });
+            }
+        },
+        async resolve(snapshotPath) {
+            const existing = snapshotPath ? await findExistingTitles(snapshotPath, candidates, targetNamespaces) : new Set();
+            return pages
+                .map(page => ({ ...page, links: page.links.filter(link => !existing.has(link.target)) }))
+                .filter(page => page.links.length > 0);
+        }
+    };
+}
+
+/**
+ * Write the red links of pages, in CSV (one line per red link) if the file name ends with .csv, in JSON otherwise
+ * @param {string} file - Path of the report to create
+ * @param {Array<Object>} pages - Result of the resolve() of createRedLinkFinder()
+ */
+function writeRedLinkReport(file, pages) {
+    if (path.extname(file).toLowerCase() === '.csv') {
+        const lines = [].concat(...pages.map(page => page.links.map(link => [page.title, page.originalTitle, link.kind, link.target]
+            .map(csvField).join(','))));
+        fs.writeFileSync(file, ['title,originalTitle,kind,target'].concat(lines).join('\n') + '\n');
+    } else {
+        fs.writeFileSync(file, JSON.stringify({ pages }, null, 2) + '\n');
+    }
+}
+
+module.exports = { canonicalTitle, findExistingTitles, createRedLinkFinder, writeRedLinkReport };
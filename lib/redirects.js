@@ -0,0 +1,192 @@
+// redirects.js - Follow the redirect pages of the dumps through the migration
+//
+// A redirect page holds "#REDIRECT [[Target]]", optionally with an anchor ([[Target#Section]]),
+// and the export marks it with <redirect title="Target" />. The wikilink-target rules rename
+// its target like any link, but that is not enough once the pages move:
+//   - a target renamed to resolve a collision (see lib/collisions.js) gets the title it is
+//     finally written under, which the rules do not know
+//   - a redirect to another redirect of the dumps (a double redirect, which MediaWiki does not
+//     follow) points straight to the end of the chain, keeping the first anchor met
+//   - a redirect whose final target is discarded by its namespace cleaner would be broken once
+//     imported, and goes the way of the discarded pages
+// indexRedirects() reads the redirects of every dump before any page is written, resolveRedirect()
+// follows their chains among the original titles, and setRedirectTarget() rewrites a cleaned
+// redirect. createRedirectPage() builds the redirects that can take readers from the old title
+// of a renamed page, as Commons would name it, to its new title, with ids that no page or
+// revision of the dumps has.
+// Only the latest revision of a page tells whether it is a redirect and where it points.
+
+const { readPages } = require('./xml-stream');
+const { encodeXml, getElement, getTextContent, setTextContent, parsePage } = require('./page');
+const { normalizeTitle } = require('./namespaces');
+const { headRevision, sha1Base36, updateTextMetadata } = require('./revisions');
+
+// #REDIRECT [[Target#anchor|label]] or [[:Category:Target]], the label being ignored by MediaWiki
+const REDIRECT_REGEX = /^(\s*#REDIRECT\s*:?\s*\[\[(?:\s*:)?)([^\[\]{}|#]*)(#[^\[\]{}|]*)?(\|[^\[\]]*)?\]\]/i;
+
+// Comment of the revision of the redirects created from old titles
+const CREATED_COMMENT = 'Redirect from the title of the page on Lingua Libre';
+
+/**
+ * Read the target of a redirect
+ * @param {string} text - Decoded wikitext
+ * @returns {{target: string, anchor: string}|null} - e.g. {target: "Help:Main", anchor: "#Steps"},
+ *   anchor being '' without one, null if the wikitext is not a redirect
+ */
+function parseRedirect(text) {
+    const match = text.match(REDIRECT_REGEX);
+    if (!match || !match[2].trim()) {
+        return null;
+    }
+    return { target: match[2].trim(), anchor: match[3] || '' };
+}
+
+// Key under which a title and the targets pointing to it are the same page
+function redirectKey(title) {
+    return normalizeTitle(title) || title;
+}
+
+/**
+ * Read the redirects of the dumps
+ * @param {Array<string>} files - Paths of the XML dumps
+ * @returns {Promise<Map<string, {title: string, target: string, anchor: string}>>} - Keyed by the normalized
+ *   title of each redirect page; a page exported in several dumps counts once
+ */
+async function indexRedirects(files) {
+    const redirects = new Map();
+    for (const file of files) {
+        for await (const chunk of readPages(file)) {
+            // Most pages are not redirects, and need not be parsed
+            if (chunk.type !== 'page' || !/#REDIRECT/i.test(chunk.xml)) {
+                continue;
+            }
+            const page = parsePage(chunk.xml);
+            const head = headRevision(page.revisions);
+            const redirect = head && head.text ? parseRedirect(getTextContent(head.text)) : null;
+            const key = redirectKey(page.title);
+            if (redirect && !redirects.has(key)) {
+                redirects.set(key, { title: page.title, ...redirect });
+            }
+        }
+    }
+    return redirects;
+}
+
+/**
+ * Follow a redirect of the dumps to the first page that is not a redirect of the dumps
+ * @param {string} title - Original title of a page
+ * @param {Map<string, Object>} redirects - Result of indexRedirects()
+ * @returns {{target: string, anchor: string, hops: number, loop: boolean}|null} - Original title of the
+ *   final target and the first anchor met, hops being 1 for a plain redirect and more for a chain;
+ *   loop is true when the chain comes back to one of its redirects, the target and anchor then being those
+ *   of the page itself. null if the page is not a redirect
+ */
+function resolveRedirect(title, redirects) {
+    let redirect = redirects.get(redirectKey(title));
+    if (!redirect) {
+        return null;
+    }
+    const seen = new Set([redirectKey(title)]);
+    let { target, anchor } = redirect;
+    let hops = 1;
+    while ((redirect = redirects.get(redirectKey(target)))) {
+        if (seen.has(redirectKey(target))) {
+            const first = redirects.get(redirectKey(title));
+            return { target: first.target, anchor: first.anchor, hops: 1, loop: true };
+        }
+        seen.add(redirectKey(target));
+        target = redirect.target;
+        anchor = anchor || redirect.anchor;
+        hops++;
+    }
+    return { target, anchor, hops, loop: false };
+}
+
+/**
+ * Point a cleaned redirect page to another target
+ * The latest revision is rewritten, keeping the label of the link, along with <redirect title>.
+ * @param {Object} page - Page returned by parsePage(); updated in place
+ * @param {string} target - New target, e.g. "Help:Lingua Libre/Main"
+ * @param {string} [anchor=''] - Anchor of the target, e.g. "#Steps"
+ * @returns {boolean} - Whether the page changed
+ */
+function setRedirectTarget(page, target, anchor = '') {
+    const head = headRevision(page.revisions);
+    const text = head && head.text ? getTextContent(head.text) : '';
+    const match = text.match(REDIRECT_REGEX);
+    if (!match) {
+        return false;
+    }
+    const link = `${match[1]}${target}${anchor}${match[4] || ''}]]`;
+    const redirectTag = page.head.match(/<redirect\s+title="([^"]*)"/);
+    const changed = link !== match[0] || (redirectTag !== null && redirectTag[1] !== encodeXml(target));
+    if (link !== match[0]) {
+        head.text = setTextContent(head.text, link + text.substring(match[0].length));
+        updateTextMetadata(head);
+    }
+    if (redirectTag) {
+        page.head = page.head.replace(/(<redirect\s+title=")[^"]*(")/, (tag, start, end) => start + encodeXml(target) + end);
+    }
+    return changed;
+}
+
+/**
+ * Find the highest page and revision ids of the dumps
+ * @param {Array<string>} files - Paths of the XML dumps
+ * @returns {Promise<{page: number, revision: number}>} - 0 when a dump has no page or revision
+ */
+async function findHighestIds(files) {
+    const highest = { page: 0, revision: 0 };
+    for (const file of files) {
+        for await (const chunk of readPages(file)) {
+            if (chunk.type !== 'page') {
+                continue;
+            }
+            highest.page = Math.max(highest.page, Number(getElement(chunk.xml, 'id')) || 0);
+            for (const match of chunk.xml.matchAll(/<revision>\s*<id>\s*(\d+)\s*<\/id>/g)) {
+                highest.revision = Math.max(highest.revision, Number(match[1]));
+            }
+        }
+    }
+    return highest;
+}
+
+/**
+ * Build a redirect page from the old title of a page to its new title
+ * The ids of the page it points to are taken: it is given ids above those of the dumps (see
+ * findHighestIds()). The timestamp and contributor come from the latest revision of that page.
+ * @param {Object} page - Cleaned page returned by parsePage(), under its new title
+ * @param {string} title - Title of the redirect on the target wiki
+ * @param {number} ns - Namespace id of the redirect on the target wiki
+ * @param {{page: number, revision: number}} ids - Page and revision ids of the redirect
+ * @returns {string|null} - The <page> XML, null if the page has no revision to date the redirect with
+ */
+function createRedirectPage(page, title, ns, ids) {
+    const head = headRevision(page.revisions);
+    if (!head) {
+        return null;
+    }
+    const contributor = head.before.match(/<contributor\b[^>]*?(?:\/>|>[\s\S]*?<\/contributor>)/);
+    const text = `#REDIRECT [[${page.title}]]`;
+    const sha1 = sha1Base36(text);
+    return [
+        '<page>',
+        `    <title>${encodeXml(title)}</title>`,
+        `    <ns>${ns}</ns>`,
+        `    <id>${ids.page}</id>`,
+        `    <redirect title="${encodeXml(page.title)}" />`,
+        '    <revision>',
+        `      <id>${ids.revision}</id>`,
+        `      <timestamp>${getElement(head.before, 'timestamp') || ''}</timestamp>`,
+        ...(contributor ? [`      ${contributor[0]}`] : []),
+        `      <comment>${CREATED_COMMENT}</comment>`,
+        '      <model>wikitext</model>',
+        '      <format>text/x-wiki</format>',
+        `      <text bytes="${Buffer.byteLength(text, 'utf8')}" sha1="${sha1}" xml:space="preserve">${encodeXml(text)}</text>`,
+        `      <sha1>${sha1}</sha1>`,
+        '    </revision>',
+        '  </page>'
+    ].join('\n');
+}
+
+module.exports = { parseRedirect, indexRedirects, resolveRedirect, setRedirectTarget, findHighestIds, createRedirectPage };
@@ -0,0 +1,88 @@
+// revisions.js - Select the revisions of a page and keep their text metadata up to date
+//
+// Special:Export dumps may hold the full history of each page. latestRevisions()
+// keeps the last ones by <timestamp>, and headRevision() gives the current one.
+// Each revision states the size and SHA-1 of its wikitext, in the bytes and sha1
+// attributes of <text> and in a <sha1> element. Once rules rewrite the text these are
+// stale, so updateTextMetadata() recomputes them the way MediaWiki does: the UTF-8
+// length of the text, and its SHA-1 in base 36 padded to 31 characters.
+
+const crypto = require('crypto');
+const { getElement, setElement, getTextContent } = require('./page');
+
+/**
+ * Timestamp of a revision, for sorting
+ * @param {Object} revision - Revision of a page returned by parsePage()
+ * @returns {string} - ISO 8601 timestamp, '' if absent
+ */
+function revisionTimestamp(revision) {
+    return getElement(revision.before, 'timestamp') || '';
+}
+
+/**
+ * Keep the latest revisions of a page
+ * @param {Array<Object>} revisions - Revisions of a page returned by parsePage()
+ * @param {number} count - Number of revisions to keep
+ * @returns {Array<Object>} - The `count` latest revisions, in their original order
+ */
+function latestRevisions(revisions, count) {
+    if (revisions.length <= count) {
+        return revisions;
+    }
+    // Stable sort: revisions with the same timestamp keep their dump order
+    const latest = new Set(revisions
+        .map((revision, index) => ({ revision, index }))
+        .sort((a, b) => revisionTimestamp(a.revision).localeCompare(revisionTimestamp(b.revision)) || a.index - b.index)
+        .slice(-count)
+        .map(({ revision }) => revision));
+    return revisions.filter(revision => latest.has(revision));
+}
+
+/**
+ * Current revision of a page
+ * @param {Array<Object>} revisions - Revisions of a page returned by parsePage()
+ * @returns {Object|null} - The latest revision, null if the page has none
+ */
+function headRevision(revisions) {
+    return latestRevisions(revisions, 1)[0] || null;
+}
+
+/**
+ * SHA-1 of a wikitext as stored by MediaWiki
+ * @param {string} text - Decoded wikitext
+ * @returns {string} - 31 characters in base 36
+ */
+function sha1Base36(text) {
+    const hex = crypto.createHash('sha1').update(text, 'utf8').digest('hex');
+    return BigInt(`0x${hex}`).toString(36).padStart(31, '0');
+}
+
+// Replace the value of an attribute of an opening tag, if the tag has it
+function setAttribute(tag, name, value) {
+    return tag.replace(new RegExp(`(\\s${name}=")[^"]*(")`), `$1${value}$2`);
+}
+
+/**
+ * Recompute the bytes and sha1 of a revision from its current text
+ * Only the metadata present in the dump is updated.
+ * @param {Object} revision - Revision of a page returned by parsePage(), updated in place
+ * @returns {Object} - The revision
+ */
+function updateTextMetadata(revision) {
+    const match = revision.text.match(/^<text\b[^>]*?>/);
+    // Absent, empty (<text ... />) or deleted texts have nothing to recompute
+    if (!match || match[0].endsWith('/>')) {
+        return revision;
+    }
+    const text = getTextContent(revision.text);
+    const sha1 = sha1Base36(text);
+    let tag = setAttribute(match[0], 'bytes', Buffer.byteLength(text, 'utf8'));
+    tag = setAttribute(tag, 'sha1', sha1);
+    revision.text = tag + revision.text.substring(match[0].length);
+    if (getElement(revision.after, 'sha1') !== null) {
+        revision.after = setElement(revision.after, 'sha1', sha1);
+    }
+    return revision;
+}
+
+module.exports = { revisionTimestamp, latestRevisions, headRevision, sha1Base36, updateTextMetadata };
@@ -0,0 +1,184 @@
+// rules.js - Load json/replaces.json and apply its rules to titles and page text
+//
+// Each rule has a "scope" (a string or an array of strings) telling where it applies:
+//   title            the <title> of each page
+//   text             the raw <text> element of each revision, so that rules written
+//                    against the escaped XML (e.g. "&amp;oldid=") keep working
+//   wikilink-target  the target of each [[wikilink]], without its #anchor and |label (see lib/wikilinks.js)
+//   template-name    the name of each {{template}} call, without its parameters
+//   edit-summary     the <comment> of each revision
+// Rules without a scope fall back on the "defaultScopes" of their "type", given in replaces.json
+// for clean-xml.js, index.html and migratedToCommons.js alike: "rename" rules apply to title and
+// wikilink-target, "content" rules to text. A "rename" rule cannot apply to text.
+// The "process" of a rule changes how it applies:
+//   lineByLine  the pattern is matched against each line of the <text> elements
+//   list        the text of the pages whose title matches the pattern is converted to a
+//               {{Lingua Libre list}} (see lib/lists.js); this needs the page title, so
+//               lib/cleaner.js applies these rules and applyRule() leaves the value unchanged
+
+const fs = require('fs');
+const { decodeXml, encodeXml } = require('./page');
+
+const SCOPES = ['title', 'text', 'wikilink-target', 'template-name', 'edit-summary'];
+
+/**
+ * Load and compile the rules of a replaces.json file
+ * @param {string} rulesPath - Path to the JSON file
+ * @returns {Array<Object>} - Rules with their compiled `regex` and `replacement`, invalid ones are reported and skipped
+ */
+function loadRules(rulesPath) {
+    const { rules, defaultScopes } = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+    return rules
+        .map((rule, index) => {
+            const compiled = compileRule(rule, defaultScopes);
+            // 1-based position in the file, used to refer to rules in diagnostics
+            if (compiled) {
+                compiled.index = index + 1;
+            }
+            return compiled;
+        })
+        .filter(rule => rule !== null);
+}
+
+/**
+ * Compile the regex and replacement string of a rule
+ * @param {Object} rule - Rule as written in replaces.json
+ * @param {Object<string, Array<string>>} [defaultScopes={}] - Scopes of the rules without one, by type
+ * @returns {Object|null} - The compiled rule, or null if its scope or pattern is invalid
+ */
+function compileRule(rule, defaultScopes = {}) {
+    const scopes = rule.scope ? [].concat(rule.scope) : defaultScopes[rule.type] || [];
+    const unknownScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (scopes.length === 0 || unknownScopes.length > 0) {
+        console.error(`ERROR: Invalid scope in rule: ${rule.match}`);
+        console.error(`  Expected one of ${SCOPES.join(', ')}, got: ${unknownScopes.join(', ') || 'none'}`);
+        return null;
+    }
+    if (rule.type === 'rename' && scopes.includes('text')) {
+        console.error(`ERROR: Invalid scope in rule: ${rule.match}`);
+        console.error('  "rename" rules apply to titles, link targets and template names, use "type": "content" for text');
+        return null;
+    }
+
+    try {
+        // Get flags from rule or default to 'g'
+        const flags = rule.flags || 'g';
+        return {
+            ...rule,
+            scopes: new Set(scopes),
+            regex: new RegExp(rule.match, flags),
+            // Convert escaped newlines in replacement string to actual newlines
+            replacement: (rule.replace || '').replace(/\\n/g, '\n')
+        };
+    } catch (error) {
+        console.error(`ERROR: Invalid regex pattern in rule: ${rule.match}`);
+        console.error(`  ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Select the rules that apply to a scope, keeping their file order
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {string} scope - One of SCOPES
+ * @returns {Array<Object>}
+ */
+function rulesForScope(rules, scope) {
+    return rules.filter(rule => rule.scopes.has(scope));
+}
+
+/**
+ * Check whether a rule is enabled for the activated features
+ * @param {Object} rule - Compiled rule
+ * @param {Set<string>} activatedFeatures - Features given with --activate
+ * @returns {boolean}
+ */
+function isActive(rule, activatedFeatures) {
+    // Skip rules that have a 'requires' field if that feature is not activated
+    return !rule.requires || activatedFeatures.has(rule.requires);
+}
+
+/**
+ * Apply a single rule to a string
+ * @param {string} value - String to rewrite
+ * @param {Object} rule - Compiled rule
+ * @param {Map<Object, number>} [stats] - Replacement counts per rule, updated in place
+ * @returns {string} - The rewritten string
+ */
+function applyRule(value, rule, stats) {
+    let count = 0;
+    let result;
+
+    if (rule.process === 'list') {
+        return value;
+    }
+    if (rule.process === 'lineByLine') {
+        // Process line-by-line within <text> elements
+        result = value.replace(/(<text[^>]*>)([\s\S]*?)(<\/text>)/g, (match, openTag, textContent, closeTag) => {
+            const processedLines = textContent.split('\n').map(line => {
+                const lineAfter = line.replace(rule.regex, rule.replacement);
+                if (lineAfter !== line) {
+                    count++;
+                }
+                return lineAfter;
+            });
+            return openTag + processedLines.join('\n') + closeTag;
+        });
+    } else {
+        result = value.replace(rule.regex, rule.replacement);
+        if (result !== value) {
+            count = rule.regex.global ? (value.match(rule.regex) || []).length : 1;
+        }
+    }
+
+    if (count > 0 && stats) {
+        stats.set(rule, (stats.get(rule) || 0) + count);
+    }
+    return result;
+}
+
+/**
+ * Apply, in file order, every active rule of a list to a string
+ * @param {string} value - String to rewrite
+ * @param {Array<Object>} rules - Compiled rules
+ * @param {Set<string>} activatedFeatures - Features given with --activate
+ * @param {Map<Object, number>} [stats] - Replacement counts per rule, updated in place
+ * @returns {string} - The rewritten string
+ */
+function applyRules(value, rules, activatedFeatures, stats) {
+    let result = value;
+    for (const rule of rules) {
+        if (isActive(rule, activatedFeatures)) {
+            result = applyRule(result, rule, stats);
+        }
+    }
+    return result;
+}
+
+/**
+ * Rewrite the name of every {{template}} call, keeping its parameters
+ * Parser functions ({{#if:...}}) and template parameters ({{{1}}}) are left alone.
+ * @param {string} text - Raw (XML-escaped) wikitext
+ * @param {Array<Object>} rules - Compiled rules of the template-name scope
+ * @param {Set<string>} activatedFeatures - Features given with --activate
+ * @param {Map<Object, number>} [stats] - Replacement counts per rule, updated in place
+ * @returns {string} - The wikitext with renamed templates
+ */
+function renameTemplates(text, rules, activatedFeatures, stats) {
+    return text.replace(/(^|[^{])\{\{(\s*)([^{}|#\s][^{}|]*?)(\s*)(?=\||\}\})/g, (match, before, spaceBefore, rawName, spaceAfter) => {
+        const name = decodeXml(rawName);
+        const renamed = applyRules(name, rules, activatedFeatures, stats);
+        return renamed === name ? match : `${before}{{${spaceBefore}${encodeXml(renamed)}${spaceAfter}`;
+    });
+}
+
+module.exports = {
+    SCOPES,
+    loadRules,
+    compileRule,
+    rulesForScope,
+    isActive,
+    applyRule,
+    applyRules,
+    renameTemplates
+};
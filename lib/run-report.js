@@ -0,0 +1,70 @@
+// run-report.js - Write what happened to each page as JSON or CSV, to follow the migration from run to run
+//
+// One record per page of the dumps, in dump order:
+//   file         dump the page comes from
+//   title        title on Lingua Libre, and namespace its Lingua Libre namespace ('' for the main one)
+//   kept         false when the cleaner() of its namespace discards the page
+//   newTitle     title on Commons, and newNamespace its Commons namespace (null when not kept)
+//   bytesBefore  UTF-8 size of the latest wikitext, before and after the rules (bytesAfter null when not kept)
+//   rules        rules fired, as {rule, count}, labelled like in --diff reports
+//   warnings     what needs a look: links to discarded pages, untranslated SPARQL queries...
+// JSON output is {"pages": [...]}, CSV output has one line per page, rules and warnings
+// being joined with "; ". Nothing depends on the time of the run, so two reports can be diffed.
+
+const path = require('path');
+const { createOutput } = require('./xml-stream');
+const { label } = require('./explain');
+
+const CSV_COLUMNS = ['file', 'title', 'namespace', 'kept', 'newTitle', 'newNamespace', 'bytesBefore', 'bytesAfter', 'rules', 'warnings'];
+
+// Quote a CSV field when it needs it
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Open a run report, in CSV if the file name ends with .csv, in JSON otherwise
+ * @param {string} file - Path of the report to create
+ * @returns {{addPage: function(Object): Promise<void>, end: function(): Promise<number>}}
+ *   addPage() takes {file, title, namespace, kept, newTitle, newNamespace, bytesBefore, bytesAfter,
+ *   rules: Map<Object, number>, warnings: Array<string>}; end() resolves to the number of pages written
+ */
+function createRunReport(file) {
+    const csv = path.extname(file).toLowerCase() === '.csv';
+    const output = createOutput(file);
+    const ready = output.write(csv ? `${CSV_COLUMNS.join(',')}\n` : '{\n    "pages": [');
+    let pagesCount = 0;
+
+    return {
+        async addPage(page) {
+            // Same fields in the same order for every page, rules in replaces.json order
+            const record = {};
+            CSV_COLUMNS.forEach(column => {
+                record[column] = page[column] === undefined ? null : page[column];
+            });
+            record.rules = Array.from(page.rules.keys())
+                .sort((a, b) => (a.index || 0) - (b.index || 0))
+                .map(rule => ({ rule: label(rule), count: page.rules.get(rule) }));
+            await ready;
+            if (csv) {
+                await output.write(CSV_COLUMNS.map(column => csvField(column === 'rules'
+                    ? record.rules.map(({ rule, count }) => `${rule} (${count})`).join('; ')
+                    : column === 'warnings' ? record.warnings.join('; ') : record[column])).join(',') + '\n');
+            } else {
+                await output.write(`${pagesCount > 0 ? ',' : ''}\n        ${JSON.stringify(record)}`);
+            }
+            pagesCount++;
+        },
+        async end() {
+            await ready;
+            if (!csv) {
+                await output.write(`${pagesCount > 0 ? '\n    ' : ''}]\n}\n`);
+            }
+            await output.end();
+            return pagesCount;
+        }
+    };
+}
+
+module.exports = { csvField, createRunReport };
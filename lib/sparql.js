@@ -0,0 +1,182 @@
+// sparql.js - Translate the SPARQL queries of Lingua Libre pages for the Wikidata and Commons query services
+//
+// replaces.json turns <query> and <syntaxhighlight lang="sparql"> blocks into
+// {{SPARQL|query=...}}, but their bodies still query the Lingua Libre Wikibase, where
+// "prop:P2" is "instance of" and "entity:Q3" a speaker. json/sparql.json tells, for
+// each Lingua Libre prefix, its IRI and the prefix to use on Commons, and maps the
+// property and item IDs to their Wikidata equivalents:
+//   {
+//       "prefixes": { "prop": { "iri": "https://lingualibre.org/prop/direct/", "to": "wdt" } },
+//       "properties": { "P2": "P31" },
+//       "items": { "Q3": null }
+//   }
+// Prefixed names (prop:P2) and full IRIs (<https://lingualibre.org/prop/direct/P2>) are
+// rewritten, and the PREFIX declarations of Lingua Libre prefixes removed, as the Commons
+// prefixes are predefined. A query using an ID mapped to null or not mapped at all, or
+// another Lingua Libre IRI, cannot be translated automatically: it is left as written
+// and reported, as a half-translated query would silently return something else.
+
+const fs = require('fs');
+const { decodeXml, encodeXml } = require('./page');
+const { mapUnprotected } = require('./wikilinks');
+
+// Hosts whose IRIs only make sense on the Lingua Libre query service
+const LINGUALIBRE_IRI_REGEX = /^https?:\/\/(?:www\.)?lingualibre\.org\//i;
+
+// Strings, comments, PREFIX declarations, IRIs and prefixed names, in a decoded query
+const TOKEN_REGEX = new RegExp([
+    /("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')/.source,
+    /(#[^\n]*)/.source,
+    /(\bPREFIX\s+([A-Za-z][\w.-]*)?:\s*<([^<>"\s]*)>[ \t]*\n?)/.source,
+    /<([^<>"{}|^`\\\s]*)>/.source,
+    /(^|[^\w?$:])([A-Za-z][\w-]*)?:([A-Za-z_][\w-]*)/.source
+].join('|'), 'gi');
+
+// Opening of a {{SPARQL}} call and its query parameter, in raw wikitext
+const SPARQL_TEMPLATE_REGEX = /\{\{\s*[Ss]PARQL\s*\|\s*query\s*=/g;
+
+/**
+ * Load a SPARQL mapping file
+ * @param {string} mappingPath - Path to the JSON file
+ * @returns {{prefixes: Map<string, {iri: string, to: string}>, properties: Map<string, string|null>, items: Map<string, string|null>}}
+ */
+function loadSparqlMap(mappingPath) {
+    const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+    const prefixes = Object.entries(mapping.prefixes || {});
+    const invalid = prefixes.filter(([, prefix]) => typeof prefix.iri !== 'string' || !/^[A-Za-z][\w-]*$/.test(prefix.to || ''));
+    if (invalid.length > 0) {
+        throw new Error(`Prefixes need an "iri" and a "to" prefix name: ${invalid.map(([name]) => name).join(', ')}`);
+    }
+    return {
+        prefixes: new Map(prefixes),
+        properties: new Map(Object.entries(mapping.properties || {})),
+        items: new Map(Object.entries(mapping.items || {})),
+        // Counted in the replacement statistics like a rule
+        match: 'SPARQL',
+        process: 'sparql'
+    };
+}
+
+/**
+ * Translate one query
+ * @param {string} query - Decoded SPARQL query
+ * @param {Object} sparqlMap - Result of loadSparqlMap()
+ * @returns {{query: string, problems: Array<string>}} - The translated query, or the query as
+ *   written when it cannot be translated, with the reasons
+ */
+function translateQuery(query, sparqlMap) {
+    // The query may declare its own prefixes, which then take over the mapping file
+    const declared = new Map();
+    query.replace(TOKEN_REGEX, (token, string, comment, declaration, name, iri) => {
+        if (declaration) {
+            declared.set(name || '', iri);
+        }
+        return token;
+    });
+    const knownPrefixes = Array.from(sparqlMap.prefixes.values());
+    const lingualibrePrefixes = new Map(Array.from(sparqlMap.prefixes).filter(([name]) => !declared.has(name)));
+    for (const [name, iri] of declared) {
+        const known = knownPrefixes.find(prefix => prefix.iri === iri);
+        if (known) {
+            lingualibrePrefixes.set(name, known);
+        }
+    }
+
+    const problems = [];
+    const translateId = (id, to, written) => {
+        const ids = /^P\d+$/.test(id) ? sparqlMap.properties : /^Q\d+$/.test(id) ? sparqlMap.items : null;
+        const newId = ids ? ids.get(id) : null;
+        if (!newId) {
+            problems.push(`${written} has no equivalent in the mapping file`);
+            return written;
+        }
+        return `${to}:${newId}`;
+    };
+
+    const translated = query.replace(TOKEN_REGEX, (token, string, comment, declaration, name, declaredIri, iri, before, prefix, local) => {
+        if (string || comment) {
+            return token;
+        }
+        if (declaration) {
+            if (knownPrefixes.some(known => known.iri === declaredIri)) {
+                return '';
+            }
+            if (LINGUALIBRE_IRI_REGEX.test(declaredIri)) {
+                problems.push(`PREFIX ${name || ''}: <${declaredIri}> is specific to Lingua Libre`);
+            }
+            return token;
+        }
+        if (iri !== undefined) {
+            const known = knownPrefixes.find(candidate => iri.startsWith(candidate.iri));
+            if (known) {
+                return translateId(iri.substring(known.iri.length), known.to, token);
+            }
+            if (LINGUALIBRE_IRI_REGEX.test(iri)) {
+                problems.push(`${token} is specific to Lingua Libre`);
+            }
+            return token;
+        }
+        const known = lingualibrePrefixes.get(prefix || '');
+        return known ? before + translateId(local, known.to, `${prefix || ''}:${local}`) : token;
+    });
+
+    return problems.length > 0 ? { query, problems } : { query: translated, problems };
+}
+
+// Position where the query parameter of a {{SPARQL}} call ends: at the first "|" or "}}"
+// outside of the { } groups of the query itself
+function queryEnd(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (depth === 0 && (text[i] === '|' || text.startsWith('}}', i))) {
+            return i;
+        }
+        if (text[i] === '{') {
+            depth++;
+        } else if (text[i] === '}') {
+            depth--;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Translate the query of every {{SPARQL|query=...}} call of a wikitext
+ * Calls inside <nowiki>, <pre>, <syntaxhighlight> or <source> are left untouched.
+ * @param {string} text - Raw (XML-escaped) wikitext
+ * @param {Object} sparqlMap - Result of loadSparqlMap()
+ * @param {Map<Object, number>} [stats] - Translated query count under sparqlMap, updated in place
+ * @param {Set<string>} [problems] - Why queries could not be translated, updated in place
+ * @returns {string} - The wikitext with translated queries
+ */
+function translateSparqlTemplates(text, sparqlMap, stats, problems) {
+    return mapUnprotected(text, segment => {
+        let result = '';
+        let lastIndex = 0;
+        let match;
+        SPARQL_TEMPLATE_REGEX.lastIndex = 0;
+        while ((match = SPARQL_TEMPLATE_REGEX.exec(segment)) !== null) {
+            const start = match.index + match[0].length;
+            const end = queryEnd(segment, start);
+            if (end === -1) {
+                break;
+            }
+            const query = decodeXml(segment.substring(start, end));
+            const translation = translateQuery(query, sparqlMap);
+            if (problems) {
+                translation.problems.forEach(problem => problems.add(problem));
+            }
+            if (translation.query !== query) {
+                result += segment.substring(lastIndex, start) + encodeXml(translation.query);
+                lastIndex = end;
+                if (stats) {
+                    stats.set(sparqlMap, (stats.get(sparqlMap) || 0) + 1);
+                }
+            }
+            SPARQL_TEMPLATE_REGEX.lastIndex = end;
+        }
+        return result + segment.substring(lastIndex);
+    });
+}
+
+module.exports = { loadSparqlMap, translateQuery, translateSparqlTemplates };
@@ -0,0 +1,63 @@
+// target-namespaces.js - Namespaces of the wiki the pages are imported into
+//
+// The <ns> of a page must be the namespace of its title on the wiki it is imported into,
+// and renames cross namespaces: LinguaLibre:Bot (4 on Lingua Libre) becomes
+// Commons:Lingua Libre/Bot (4 on Commons), List:Fra/Animals (142) becomes
+// Commons:Lingua Libre/List/Fra/Animals. json/commons-namespaces.json lists the namespaces
+// of Commons and their aliases:
+//   {
+//       "wiki": "Wikimedia Commons",
+//       "namespaces": [ { "id": 4, "name": "Commons" } ],
+//       "aliases": { "Project": 4 }
+//   }
+// A title whose prefix is a Lingua Libre namespace that the target wiki does not have
+// (List:, LinguaLibre:...) would be imported in its main namespace, prefix included:
+// targetNamespace() tells it, so that such titles are refused.
+
+const fs = require('fs');
+const path = require('path');
+const { findNamespace } = require('./namespaces');
+
+/**
+ * Load a target wiki namespace table
+ * @param {string} tablePath - Path to the JSON file
+ * @returns {{wiki: string, byName: Map<string, {id: number, name: string}>}} - Namespaces by lowercase name or alias
+ */
+function loadTargetNamespaces(tablePath) {
+    const table = JSON.parse(fs.readFileSync(tablePath, 'utf8'));
+    const namespaces = table.namespaces || [];
+    const invalid = namespaces.filter(ns => !Number.isInteger(ns.id) || typeof ns.name !== 'string' || !ns.name);
+    if (invalid.length > 0) {
+        throw new Error(`Namespaces need an integer "id" and a "name": ${invalid.map(ns => JSON.stringify(ns)).join(', ')}`);
+    }
+    const byId = new Map(namespaces.map(ns => [ns.id, ns]));
+    const byName = new Map(namespaces.map(ns => [ns.name.toLowerCase(), ns]));
+    for (const [alias, id] of Object.entries(table.aliases || {})) {
+        if (!byId.has(id)) {
+            throw new Error(`Alias "${alias}" refers to namespace ${id}, which is not listed`);
+        }
+        byName.set(alias.toLowerCase(), byId.get(id));
+    }
+    return { wiki: table.wiki || path.basename(tablePath), byName };
+}
+
+/**
+ * Namespace of a page title on the target wiki
+ * @param {string} title - Decoded page title, e.g. "Commons:Lingua Libre/Bot"
+ * @param {Object} targetNamespaces - Result of loadTargetNamespaces()
+ * @returns {{id: number, name: string|null, missing: string|null}} - id and name of the namespace
+ *   (0 and null for the main namespace); missing is the Lingua Libre namespace of the prefix when
+ *   the target wiki does not have it, e.g. "List" for "List:Fra/Animals"
+ */
+function targetNamespace(title, targetNamespaces) {
+    const colon = title.indexOf(':');
+    const prefix = colon === -1 ? '' : title.substring(0, colon).trim().replace(/_/g, ' ').replace(/\s+/g, ' ');
+    const namespace = prefix ? targetNamespaces.byName.get(prefix.toLowerCase()) : null;
+    if (namespace) {
+        return { id: namespace.id, name: namespace.name, missing: null };
+    }
+    const sourceNamespace = prefix ? findNamespace(prefix) : null;
+    return { id: 0, name: null, missing: sourceNamespace ? sourceNamespace.name : null };
+}
+
+module.exports = { loadTargetNamespaces, targetNamespace };
@@ -0,0 +1,320 @@
+// templates.js - Rewrite template calls with the mapping table of json/templates.json
+//
+// Pattern rules cannot tell a template call from prose, nor touch its parameters.
+// json/templates.json maps the exact name of a Lingua Libre template to what its
+// calls become on Commons:
+//   "Speaker of the month": {
+//       "rename": "Voice contributor of the month",   new name, also given to the Template: page
+//       "params": { "1": "user", "lang": null },     new parameter names, null drops the parameter;
+//                                                    a renamed positional parameter becomes named
+//       "order": ["user", "month"]                   named parameters written first, in this order
+//   }
+// Calls are parsed with their nesting, so that calls given as parameter values are
+// rewritten too. Anything else, parser functions ({{#if:...}}) and template parameters
+// ({{{1}}}) included, is left as written. Names match the way MediaWiki compares them:
+// first letter case-insensitive, spaces and underscores equivalent.
+// Which templates are migrated is decided by the keep-list of js/template.js: an entry
+// that keeps the name of a template the list leaves out would rewrite calls to a page
+// missing on Commons, and unmigratedTemplates() lists such entries, which clean-xml.js refuses.
+// Only braces tell where a call ends, and an unclosed "{{" or "[[" is read as plain text,
+// so that the calls after it are still rewritten.
+
+const fs = require('fs');
+const { decodeXml, encodeXml } = require('./page');
+const { splitTitle, isDiscarded } = require('./namespaces');
+const { mapUnprotected } = require('./wikilinks');
+
+const MAPPING_KEYS = ['rename', 'params', 'order'];
+
+// Template calls and template parameters, the longest opening first: only they tell where a call ends
+const BRACES = [['{{{', '}}}'], ['{{', '}}']];
+// Constructs that a parameter separator cannot be part of
+const BRACKETS = BRACES.concat([['[[', ']]']]);
+
+/**
+ * Canonical form of a template name
+ * @param {string} name - e.g. "template:speaker_of the month"
+ * @returns {string} - e.g. "Speaker of the month"
+ */
+function normalizeName(name) {
+    const trimmed = name.replace(/_/g, ' ').replace(/\s+/g, ' ').trim().replace(/^template\s*:\s*/i, '');
+    return trimmed.charAt(0).toUpperCase() + trimmed.substring(1);
+}
+
+/**
+ * Load a template mapping file
+ * @param {string} mappingPath - Path to the JSON file
+ * @returns {Map<string, Object>} - Entries by normalized template name, each with its
+ *   `match` (name), `replace` (new name), `rename`, `params` (Map) and `order`
+ */
+function loadTemplateMap(mappingPath) {
+    const templates = JSON.parse(fs.readFileSync(mappingPath, 'utf8')).templates || {};
+    const templateMap = new Map();
+    for (const [name, mapping] of Object.entries(templates)) {
+        const unknownKeys = Object.keys(mapping).filter(key => !MAPPING_KEYS.includes(key));
+        if (unknownKeys.length > 0) {
+            throw new Error(`"${name}": unknown key ${unknownKeys.join(', ')} (expected ${MAPPING_KEYS.join(', ')})`);
+        }
+        const params = Object.entries(mapping.params || {});
+        if (params.some(([, newName]) => newName !== null && typeof newName !== 'string')) {
+            throw new Error(`"${name}": "params" values must be a new parameter name or null`);
+        }
+        if (mapping.order && !Array.isArray(mapping.order)) {
+            throw new Error(`"${name}": "order" must be an array of parameter names`);
+        }
+        const key = normalizeName(name);
+        templateMap.set(key, {
+            match: key,
+            replace: mapping.rename || key,
+            rename: mapping.rename || null,
+            params: new Map(params),
+            order: mapping.order || [],
+            process: 'template'
+        });
+    }
+    return templateMap;
+}
+
+/**
+ * List the entries whose calls would keep pointing to a template that is not migrated
+ * @param {Map<string, Object>} templateMap - Result of loadTemplateMap()
+ * @returns {Array<string>} - Names of the entries without "rename" whose template js/template.js discards
+ */
+function unmigratedTemplates(templateMap) {
+    return Array.from(templateMap.values())
+        .filter(mapping => !mapping.rename && isDiscarded(`Template:${mapping.match}`))
+        .map(mapping => mapping.match);
+}
+
+/**
+ * Match the constructs of a wikitext in one pass
+ * An opening left unclosed is plain text, as MediaWiki reads it, and does not hide what follows it:
+ * the closing of a construct opened before it closes that construct, and a closing that matches no
+ * opening is plain text too.
+ * @param {string} text - Raw wikitext
+ * @param {Array<Array<string>>} brackets - Openings and closings to match, the longest opening first
+ * @param {string} [char] - Character to find outside of the matched constructs, e.g. "|"
+ * @returns {{ends: Map<number, number>, indexes: Array<number>}} - Position after the closing of each
+ *   matched construct, by the position of its opening, and the positions of char outside of them
+ */
+function matchBrackets(text, brackets, char) {
+    const ends = new Map();
+    const root = { parent: null, closing: null, closed: false };
+    let top = root;
+    // Constructs being read, by closing
+    const open = new Map(brackets.map(([, closing]) => [closing, 0]));
+    // Positions of char, with the construct they are directly in
+    const found = [];
+    const pop = () => {
+        open.set(top.closing, open.get(top.closing) - 1);
+        top = top.parent;
+    };
+    let i = 0;
+    while (i < text.length) {
+        const bracket = brackets.find(([opening]) => text.startsWith(opening, i));
+        const closing = top.closing !== null && text.startsWith(top.closing, i)
+            ? top.closing
+            : brackets.map(([, candidate]) => candidate).find(candidate => open.get(candidate) > 0 && text.startsWith(candidate, i));
+        if (closing) {
+            // Constructs opened since the one it closes are left unclosed
+            while (top.closing !== closing) {
+                pop();
+            }
+            top.closed = true;
+            ends.set(top.start, i + closing.length);
+            pop();
+            i += closing.length;
+        } else if (bracket) {
+            top = { parent: top, start: i, closing: bracket[1], closed: false };
+            open.set(bracket[1], open.get(bracket[1]) + 1);
+            i += bracket[0].length;
+        } else {
+            if (text[i] === char) {
+                found.push({ index: i, construct: top });
+            }
+            i++;
+        }
+    }
+    // A position is outside of the matched constructs when every construct it is in was left unclosed
+    const outside = new Map([[root, true]]);
+    const isOutside = construct => {
+        if (!outside.has(construct)) {
+            const chain = [];
+            let current = construct;
+            while (!outside.has(current)) {
+                chain.push(current);
+                current = current.parent;
+            }
+            let result = outside.get(current);
+            for (const link of chain.reverse()) {
+                result = result && !link.closed;
+                outside.set(link, result);
+            }
+        }
+        return outside.get(construct);
+    };
+    return { ends, indexes: found.filter(({ construct }) => isOutside(construct)).map(({ index }) => index) };
+}
+
+/**
+ * Positions of a character outside of nested templates, template parameters and links
+ * @param {string} text - Raw wikitext
+ * @param {string} char - e.g. "|" or "="
+ * @returns {Array<number>}
+ */
+function topLevelIndexes(text, char) {
+    return matchBrackets(text, BRACKETS, char).indexes;
+}
+
+// Split the inside of a call into its name and parameters
+function splitParts(text) {
+    const parts = [];
+    let last = 0;
+    for (const index of topLevelIndexes(text, '|')) {
+        parts.push(text.substring(last, index));
+        last = index + 1;
+    }
+    parts.push(text.substring(last));
+    return parts;
+}
+
+// Entry of a template name, or of the template a subpage ("Speaker of the month/doc") belongs to
+function findMapping(name, templateMap) {
+    const exact = templateMap.get(normalizeName(name));
+    if (exact) {
+        return { mapping: exact, subpage: '' };
+    }
+    const slash = name.indexOf('/');
+    const base = slash === -1 ? null : templateMap.get(normalizeName(name.substring(0, slash)));
+    // Subpages follow the renamed page, their parameters are their own
+    return base && base.rename ? { mapping: base, subpage: name.substring(slash).trim() } : { mapping: null, subpage: '' };
+}
+
+// Count a rewrite made by an entry
+function count(stats, mapping) {
+    if (stats) {
+        stats.set(mapping, (stats.get(mapping) || 0) + 1);
+    }
+}
+
+// Rewrite the name and parameters of one call, given as [name, ...parameters]
+function rewriteCall(parts, templateMap, stats) {
+    const [, leading, prefix, rawName, trailing] = parts[0].match(/^(\s*)((?:[Tt]emplate\s*:\s*)?)([\s\S]*?)(\s*)$/);
+    const name = decodeXml(rawName);
+    // Parser functions and magic words ({{#if:...}}, {{lc:...}}) are not templates
+    const { mapping, subpage } = name.startsWith('#') || name.includes(':') ? {} : findMapping(name, templateMap);
+    if (!mapping) {
+        return parts;
+    }
+    const newName = mapping.rename ? leading + prefix + encodeXml(mapping.rename + subpage) + trailing : parts[0];
+    if (subpage) {
+        count(stats, mapping);
+        return [newName].concat(parts.slice(1));
+    }
+
+    // The layout before "}}" (e.g. a newline) stays at the end of the call, even if its parameter moves or is dropped
+    const last = parts.length - 1;
+    const tail = last > 0 ? parts[last].match(/\s*$/)[0] : '';
+    const params = [];
+    // Whitespace after each named value, by position: named values are trimmed by MediaWiki,
+    // so the layout stays where it was written whatever parameter ends up there
+    const spaces = [];
+    let position = 0;
+    // Once a positional parameter is dropped, the next ones keep their number by being named
+    let shifted = false;
+    for (const [index, rawPart] of parts.entries()) {
+        if (index === 0) {
+            continue;
+        }
+        const part = index === last ? rawPart.substring(0, rawPart.length - tail.length) : rawPart;
+        const equals = topLevelIndexes(part, '=')[0];
+        const named = equals !== undefined;
+        const key = named ? decodeXml(part.substring(0, equals)).trim() : String(++position);
+        const newKey = mapping.params.has(key) ? mapping.params.get(key) : key;
+        spaces.push(named ? part.match(/\s*$/)[0] : '');
+        if (newKey === null) {
+            shifted = shifted || !named;
+            continue;
+        }
+        if (named) {
+            const [, spaceBefore, , spaceAfter] = part.substring(0, equals).match(/^(\s*)([\s\S]*?)(\s*)$/);
+            const value = part.substring(equals).trimEnd();
+            params.push({ named, key: newKey, part: (newKey === key ? part.substring(0, equals) : spaceBefore + encodeXml(newKey) + spaceAfter) + value });
+        } else if (newKey !== key || shifted) {
+            params.push({ named: true, key: newKey, part: `${encodeXml(newKey)}=${part}` });
+        } else {
+            params.push({ named, key, part });
+        }
+    }
+
+    // Positional parameters are not reordered, as their position is their name
+    const rank = param => {
+        const index = param.named ? mapping.order.indexOf(param.key) : -1;
+        return index === -1 ? mapping.order.length : index;
+    };
+    params.sort((a, b) => rank(a) - rank(b));
+
+    const rewritten = [newName].concat(params.map((param, index) => param.part + (index < params.length - 1 ? spaces[index] : tail)));
+    if (rewritten.join('|') !== parts.join('|')) {
+        count(stats, mapping);
+    }
+    return rewritten;
+}
+
+// Rewrite every call of a wikitext, the nested ones first
+function rewriteSegment(text, templateMap, stats) {
+    const { ends } = matchBrackets(text, BRACES);
+    let result = '';
+    let lastIndex = 0;
+    let start = text.indexOf('{{');
+    while (start !== -1) {
+        if (!ends.has(start)) {
+            start = text.indexOf('{{', start + 1);
+            continue;
+        }
+        const end = ends.get(start);
+        const brackets = text.startsWith('{{{', start) ? 3 : 2;
+        const parts = splitParts(text.substring(start + brackets, end - brackets))
+            .map(part => rewriteSegment(part, templateMap, stats));
+        const call = brackets === 2 ? rewriteCall(parts, templateMap, stats) : parts;
+        result += text.substring(lastIndex, start) + '{'.repeat(brackets) + call.join('|') + '}'.repeat(brackets);
+        lastIndex = end;
+        start = text.indexOf('{{', end);
+    }
+    return result + text.substring(lastIndex);
+}
+
+/**
+ * Rewrite the template calls of a wikitext with a mapping table
+ * Calls inside <nowiki>, <pre>, <syntaxhighlight> or <source> are left untouched.
+ * @param {string} text - Raw (XML-escaped) wikitext
+ * @param {Map<string, Object>} templateMap - Result of loadTemplateMap()
+ * @param {Map<Object, number>} [stats] - Rewritten calls per mapping entry, updated in place
+ * @returns {string} - The wikitext with rewritten calls
+ */
+function rewriteTemplateCalls(text, templateMap, stats) {
+    return templateMap.size > 0 ? mapUnprotected(text, segment => rewriteSegment(segment, templateMap, stats)) : text;
+}
+
+/**
+ * Rename a Template: page, or one of its subpages, after the template it holds
+ * @param {string} title - Decoded page title or link target, e.g. "Template:Speaker of the month/doc"
+ * @param {Map<string, Object>} templateMap - Result of loadTemplateMap()
+ * @param {Map<Object, number>} [stats] - Renamed titles per mapping entry, updated in place
+ * @returns {string} - e.g. "Template:Voice contributor of the month/doc", the title itself if not renamed
+ */
+function renameTemplatePage(title, templateMap, stats) {
+    const { namespace, page } = splitTitle(title);
+    if (!namespace || namespace.name !== 'Template') {
+        return title;
+    }
+    const { mapping, subpage } = findMapping(page, templateMap);
+    if (!mapping || !mapping.rename) {
+        return title;
+    }
+    count(stats, mapping);
+    const [, leading, prefix, , trailing] = title.match(/^(\s*:?\s*)([^:]*:\s*)([\s\S]*?)(\s*)$/);
+    return leading + prefix + mapping.rename + subpage + trailing;
+}
+
+module.exports = { normalizeName, loadTemplateMap, unmigratedTemplates, topLevelIndexes, rewriteTemplateCalls, renameTemplatePage };
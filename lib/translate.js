@@ -0,0 +1,142 @@
+// translate.js - Follow the pages of the Translate extension through the migration
+//
+// A translatable page marks its translation units in <translate> blocks with <!--T:n-->
+// comments. The translation of unit n into a language is the page
+// Translations:<page>/<n>/<language>, "Page display title" standing for the title of the
+// page. A unit is only of use next to its source page, so:
+//   - renameUnitTitle() gives a unit the new title of its source page, instead of running
+//     the Translations: title through rules of its own
+//   - indexTranslations() reads the units of the dumps and the markers of their source
+//     pages, and checkTranslations() reports the units whose source page is discarded
+//     (orphans), missing from the dumps, or no longer marks them
+
+const { readPages } = require('./xml-stream');
+const { getElement, getTextContent, parsePage } = require('./page');
+const { normalizeTitle } = require('./namespaces');
+const { headRevision } = require('./revisions');
+
+// Unit holding the translated title of a page, which has no marker in the page itself
+const TITLE_UNIT = 'Page display title';
+
+const UNIT_TITLE_REGEX = /^\s*Translations\s*:\s*(.+)\/([^/]+)\/([a-z][a-z0-9-]*)\s*$/i;
+
+// <!--T:n--> markers, as written in the raw (XML-escaped) or decoded wikitext
+const MARKER_REGEX = /(?:<|&lt;)!--T:([^\s>&]+?)\s*--(?:>|&gt;)/g;
+
+/**
+ * Split the title of a translation unit
+ * @param {string} title - e.g. "Translations:Help:Bots/3/fr"
+ * @returns {{page: string, unit: string, language: string}|null} - e.g. {page: "Help:Bots", unit: "3", language: "fr"},
+ *   null if the title is not a translation unit
+ */
+function parseUnitTitle(title) {
+    const match = title.match(UNIT_TITLE_REGEX);
+    return match ? { page: match[1].trim(), unit: match[2].trim(), language: match[3] } : null;
+}
+
+/**
+ * Rename a translation unit after its source page
+ * @param {string} title - Title of a page or link target
+ * @param {function(string): string} renamePage - Rename function of the source page title
+ * @returns {string|null} - e.g. "Translations:Help:Lingua Libre/Bots/3/fr", null if the title is not a translation unit
+ */
+function renameUnitTitle(title, renamePage) {
+    const unit = parseUnitTitle(title);
+    return unit ? `Translations:${renamePage(unit.page)}/${unit.unit}/${unit.language}` : null;
+}
+
+/**
+ * List the unit markers of a wikitext
+ * @param {string} text - Raw or decoded wikitext
+ * @returns {Set<string>} - Unit names, e.g. "1", "2"
+ */
+function unitMarkers(text) {
+    return new Set(Array.from(text.matchAll(MARKER_REGEX), match => match[1]));
+}
+
+/**
+ * Read the translation units of the input dumps, grouped by source page
+ * @param {Array<string>} files - Paths of the XML dumps
+ * @returns {Promise<Map<string, {title: string|null, markers: Set<string>|null, units: Map<string, Array<string>>}>>}
+ *   Keyed by normalized source page title: the title of the source page as found in the
+ *   dumps and the markers of its latest revision (null when it is not in the dumps), and the
+ *   unit titles of each unit
+ */
+async function indexTranslations(files) {
+    const sources = new Map();
+    const sourceOf = title => {
+        const key = normalizeTitle(title) || title;
+        if (!sources.has(key)) {
+            sources.set(key, { title: null, markers: null, units: new Map() });
+        }
+        return sources.get(key);
+    };
+    const pageMarkers = new Map();
+
+    for (const file of files) {
+        for await (const chunk of readPages(file)) {
+            if (chunk.type !== 'page') {
+                continue;
+            }
+            const title = getElement(chunk.xml, 'title');
+            const unit = title === null ? null : parseUnitTitle(title);
+            if (unit) {
+                const units = sourceOf(unit.page).units;
+                if (!units.has(unit.unit)) {
+                    units.set(unit.unit, []);
+                }
+                units.get(unit.unit).push(title);
+            } else if (title !== null && !pageMarkers.has(title)) {
+                // Most pages have no marker at all, and need not be parsed
+                const head = chunk.xml.includes('!--T:') ? headRevision(parsePage(chunk.xml).revisions) : null;
+                pageMarkers.set(title, head && head.text ? unitMarkers(getTextContent(head.text)) : new Set());
+            }
+        }
+    }
+
+    // Only the source pages of some unit are of interest
+    for (const [title, markers] of pageMarkers) {
+        const source = sources.get(normalizeTitle(title) || title);
+        if (source && source.title === null) {
+            source.title = title;
+            source.markers = markers;
+        }
+    }
+    return sources;
+}
+
+/**
+ * Find the translation units that will not fit their source page on Commons
+ * @param {Map<string, Object>} sources - Result of indexTranslations()
+ * @param {function(string): boolean} isWritten - Whether a page goes to the output
+ * @returns {{orphans: Array<{page: string, units: Array<string>}>, missing: Array<{page: string, units: Array<string>}>, stale: Array<{page: string, units: Array<string>}>}}
+ *   orphans are written while their source page is not, missing have no source page in the dumps,
+ *   stale are units that the source page no longer marks; each lists the unit titles concerned
+ */
+function checkTranslations(sources, isWritten) {
+    const orphans = [];
+    const missing = [];
+    const stale = [];
+
+    for (const [page, source] of sources) {
+        const written = Array.from(source.units).map(([unit, titles]) => [unit, titles.filter(isWritten)])
+            .filter(([, titles]) => titles.length > 0);
+        if (written.length === 0) {
+            continue;
+        }
+        const titles = [].concat(...written.map(([, unitTitles]) => unitTitles));
+        if (source.title === null) {
+            missing.push({ page, units: titles });
+        } else if (!isWritten(source.title)) {
+            orphans.push({ page: source.title, units: titles });
+        } else {
+            const unmarked = written.filter(([unit]) => unit !== TITLE_UNIT && !source.markers.has(unit));
+            if (unmarked.length > 0) {
+                stale.push({ page: source.title, units: [].concat(...unmarked.map(([, unitTitles]) => unitTitles)) });
+            }
+        }
+    }
+    return { orphans, missing, stale };
+}
+
+module.exports = { parseUnitTitle, renameUnitTitle, unitMarkers, indexTranslations, checkTranslations };
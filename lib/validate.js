@@ -0,0 +1,389 @@
+// validate.js - Check that the written dumps are still well-formed MediaWiki exports
+//
+// Rules rewrite the raw XML of pages, so a greedy pattern can swallow a closing tag or cut
+// an entity in half, and Special:Import then rejects the whole file. validateFile() streams
+// a dump through a small XML tokenizer and reports, with its byte offset, line and page title:
+//   - well-formedness: misnested or unclosed tags, malformed attributes, "&" outside of an
+//     entity, characters that XML forbids, content outside of the root element
+//   - the structure of the export-0.10 and 0.11 schemas: a <mediawiki> root of one of these
+//     versions, a <title>, <ns> and <id> starting each <page>, an <id>, <timestamp> and <text>
+//     in each <revision>, and no element that the schema does not allow there
+//   - the <ns> of each page against the namespace of its title prefix, on the target wiki
+//     (see lib/target-namespaces.js) or after the <namespaces> of <siteinfo>
+//   - page and revision <id>s that are positive integers, and no two pages, and no two revisions,
+//     with the same <id> in a dump
+// The first well-formedness error ends the check of a file, as nothing after it can be trusted.
+
+const fs = require('fs');
+const { decodeXml } = require('./page');
+
+const VERSIONS = ['0.10', '0.11'];
+// Page and revision ids, xs:positiveInteger in the schema, once their sign and leading zeros are left out
+const POSITIVE_INTEGER_REGEX = /^[1-9]\d*$/;
+
+// Elements checked against the schema, where they are expected: the children it allows,
+// those it requires exactly once, and those it allows at most once
+const SCHEMA = {
+    mediawiki: {
+        parent: null,
+        allowed: ['siteinfo', 'page', 'logitem'],
+        required: [],
+        unique: ['siteinfo']
+    },
+    page: {
+        parent: 'mediawiki',
+        allowed: ['title', 'ns', 'id', 'redirect', 'restrictions', 'revision', 'upload', 'discussionthreadinginfo'],
+        required: ['title', 'ns', 'id'],
+        unique: ['redirect', 'restrictions', 'discussionthreadinginfo']
+    },
+    revision: {
+        parent: 'page',
+        allowed: ['id', 'parentid', 'timestamp', 'contributor', 'minor', 'comment', 'origin', 'model', 'format', 'text', 'content', 'sha1'],
+        required: ['id', 'timestamp', 'text'],
+        unique: ['parentid', 'contributor', 'minor', 'comment', 'origin', 'model', 'format', 'sha1']
+    }
+};
+
+const NAME = '[A-Za-z_:][\\w.:-]*';
+const TAG_REGEX = new RegExp(`^<(/?)(${NAME})([\\s\\S]*?)(/?)>$`);
+const ATTRIBUTE_REGEX = new RegExp(`\\s+(${NAME})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'y');
+const BAD_AMPERSAND_REGEX = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9A-Fa-f]+);)/;
+const BAD_CHARACTER_REGEX = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/;
+
+// Delimiters of the markup that is not a tag, in the order they must be tried
+const MARKUP = [['<!--', '-->'], ['<![CDATA[', ']]>'], ['<?', '?>'], ['<!', '>']];
+
+// Count the line breaks of a string between two positions
+function countLines(text, start, end) {
+    let lines = 0;
+    for (let i = text.indexOf('\n', start); i !== -1 && i < end; i = text.indexOf('\n', i + 1)) {
+        lines++;
+    }
+    return lines;
+}
+
+// Position after the tag opened at a position, ignoring ">" in attribute values, -1 if it is not complete
+function tagEnd(text, start) {
+    let quote = null;
+    for (let i = start + 1; i < text.length; i++) {
+        if (quote) {
+            quote = text[i] === quote ? null : quote;
+        } else if (text[i] === '"' || text[i] === '\'') {
+            quote = text[i];
+        } else if (text[i] === '>') {
+            return i + 1;
+        }
+    }
+    return -1;
+}
+
+// Describe what is wrong with some character data or attribute value, null if nothing
+function checkCharacters(text) {
+    const character = text.match(BAD_CHARACTER_REGEX);
+    if (character) {
+        return `Character U+${character[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')} is not allowed in XML`;
+    }
+    const ampersand = text.match(BAD_AMPERSAND_REGEX);
+    if (ampersand) {
+        return `"&" does not start an entity: "${text.substr(ampersand.index, 12).split('\n')[0]}"`;
+    }
+    return null;
+}
+
+/**
+ * Check the well-formedness and the export schema structure of a dump
+ * @param {string} file - Path of the XML dump
+ * @param {Object} [options]
+ * @param {function(string): number} [options.namespaceId] - Namespace id of a title; by default the
+ *   <namespaces> of <siteinfo>, and no <ns> check when the dump does not list them
+ * @param {number} [options.maxErrors=20] - Stop after this many errors
+ * @returns {Promise<Array<{offset: number, line: number, title: string|null, message: string}>>} - Errors in
+ *   file order: byte offset and line where the problem starts, title of the page it is in
+ */
+async function validateFile(file, { namespaceId = null, maxErrors = 20 } = {}) {
+    const errors = [];
+    const stack = [];
+    // Namespace ids of the <siteinfo>, by lowercase name
+    const namespaces = new Map();
+    let rootSeen = false;
+    let fatal = false;
+    // Page being read, with the text of its <title>, <ns> and <id> and the <id> of its revisions
+    let page = null;
+    // Element whose text is collected: <title>, <ns> or <id> of a page, <id> of a revision, <namespace> of <siteinfo>
+    let capture = null;
+    // Title of the first page of each page and revision id
+    const pageIds = new Map();
+    const revisionIds = new Map();
+
+    let buffer = '';
+    // Byte offset and line of a position of the buffer, moved forward as tokens are read
+    let cursor = { position: 0, offset: 0, line: 1 };
+
+    const locate = position => {
+        if (position > cursor.position) {
+            cursor = {
+                position,
+                offset: cursor.offset + Buffer.byteLength(buffer.substring(cursor.position, position), 'utf8'),
+                line: cursor.line + countLines(buffer, cursor.position, position)
+            };
+        }
+        return { offset: cursor.offset, line: cursor.line };
+    };
+    const addError = (location, message) => {
+        errors.push({ ...location, title: page ? page.title : null, message });
+        fatal = fatal || errors.length >= maxErrors;
+    };
+    const fail = (position, message) => {
+        addError(locate(position), message);
+        fatal = true;
+    };
+
+    // Namespace id of a title, null when it cannot be told
+    const expectedNamespace = title => {
+        if (namespaceId) {
+            return namespaceId(title);
+        }
+        if (namespaces.size === 0) {
+            return null;
+        }
+        const colon = title.indexOf(':');
+        const prefix = colon > 0 ? title.substring(0, colon).trim().replace(/_/g, ' ').toLowerCase() : null;
+        return prefix !== null && namespaces.has(prefix) ? namespaces.get(prefix) : 0;
+    };
+
+    const closeElement = element => {
+        if (capture && capture.element === element) {
+            const value = decodeXml(capture.text);
+            if (element.name === 'namespace') {
+                namespaces.set(value.trim().toLowerCase(), Number(capture.key));
+            } else if (page && capture.revision) {
+                page.revisionIds.push(value.trim());
+            } else if (page) {
+                page[element.name] = value;
+            }
+            capture = null;
+        }
+        const schema = element.schema;
+        if (!schema) {
+            return;
+        }
+        for (const name of schema.required) {
+            const count = element.children.filter(child => child === name).length;
+            if (count !== 1) {
+                addError(element.location, `<${element.name}> has ${count === 0 ? 'no' : count} <${name}>`);
+            }
+        }
+        for (const name of schema.unique) {
+            if (element.children.filter(child => child === name).length > 1) {
+                addError(element.location, `<${element.name}> has several <${name}>`);
+            }
+        }
+        if (element.name !== 'page') {
+            return;
+        }
+        if (schema.required.every(name => element.children.includes(name)) && element.children.slice(0, 3).join() !== 'title,ns,id') {
+            addError(element.location, `<page> does not start with <title>, <ns> and <id>, but ${element.children.slice(0, 3).map(name => `<${name}>`).join(', ')}`);
+        }
+        if (page.ns !== null && !/^\s*-?\d+\s*$/.test(page.ns)) {
+            addError(element.location, `<ns>${page.ns}</ns> is not a namespace id`);
+        } else if (page.title !== null && page.ns !== null) {
+            const expected = expectedNamespace(page.title);
+            if (expected !== null && Number(page.ns) !== expected) {
+                addError(element.location, `<ns>${page.ns.trim()}</ns> does not match the title, whose namespace is ${expected}`);
+            }
+        }
+        // The schema wants positive integers, and Special:Import would take the page or revision
+        // for the one it shares its id with
+        const pageId = page.id !== null ? page.id.trim().replace(/^\+?0*(?=\d)/, '') : null;
+        if (pageId !== null && !POSITIVE_INTEGER_REGEX.test(pageId)) {
+            addError(element.location, `<id>${pageId}</id> of the page is not a positive integer`);
+        } else if (pageId !== null && pageIds.has(pageId)) {
+            addError(element.location, `Page id ${pageId} is also the id of page "${pageIds.get(pageId)}"`);
+        } else if (pageId !== null) {
+            pageIds.set(pageId, page.title);
+        }
+        for (const revisionId of page.revisionIds.map(id => id.replace(/^\+?0*(?=\d)/, ''))) {
+            if (!POSITIVE_INTEGER_REGEX.test(revisionId)) {
+                addError(element.location, `<id>${revisionId}</id> of a revision is not a positive integer`);
+            } else if (revisionIds.has(revisionId)) {
+                addError(element.location, `Revision id ${revisionId} is also the id of a revision of page "${revisionIds.get(revisionId)}"`);
+            } else {
+                revisionIds.set(revisionId, page.title);
+            }
+        }
+        page = null;
+    };
+
+    const openElement = (position, name, attributes, selfClosing) => {
+        const parent = stack[stack.length - 1];
+        if (!parent) {
+            if (rootSeen) {
+                return fail(position, `Second root element <${name}>`);
+            }
+            rootSeen = true;
+            if (name !== 'mediawiki') {
+                addError(locate(position), `Root element is <${name}>, not <mediawiki>`);
+            } else if (!VERSIONS.includes(attributes.get('version'))) {
+                addError(locate(position), `Export version ${attributes.get('version') || '(none)'} is not one of ${VERSIONS.join(', ')}`);
+            }
+        } else {
+            parent.children.push(name);
+            if (parent.schema && !parent.schema.allowed.includes(name)) {
+                addError(locate(position), `<${name}> is not allowed in <${parent.name}>`);
+            }
+        }
+
+        // Only checked where the schema expects it: <page> in <mediawiki>, <revision> in such a <page>
+        const schema = SCHEMA[name] && SCHEMA[name].parent === (parent ? parent.name : null) && (!parent || parent.schema)
+            ? SCHEMA[name]
+            : null;
+        const element = { name, schema, children: [], location: locate(position) };
+        if (name === 'page' && schema) {
+            page = { title: null, ns: null, id: null, revisionIds: [] };
+        } else if ((name === 'title' || name === 'ns' || name === 'id') && parent && parent.schema && parent.name === 'page' && page[name] === null) {
+            capture = { element, text: '' };
+        } else if (name === 'id' && parent && parent.schema && parent.name === 'revision') {
+            capture = { element, text: '', revision: true };
+        } else if (name === 'namespace' && parent && parent.name === 'namespaces') {
+            capture = { element, text: '', key: attributes.get('key') };
+        }
+        stack.push(element);
+        if (selfClosing) {
+            stack.pop();
+            closeElement(element);
+        }
+    };
+
+    const readTag = (position, tag) => {
+        const match = tag.match(TAG_REGEX);
+        if (!match) {
+            return fail(position, `Malformed tag ${tag.substring(0, 60)}`);
+        }
+        const [, closing, name, rest, selfClosing] = match;
+        if (closing) {
+            if (rest.trim() || selfClosing) {
+                return fail(position, `Malformed closing tag ${tag.substring(0, 60)}`);
+            }
+            const element = stack.pop();
+            if (!element) {
+                return fail(position, `</${name}> without an opening tag`);
+            }
+            if (element.name !== name) {
+                return fail(position, `</${name}> closes <${element.name}> (line ${element.location.line})`);
+            }
+            return closeElement(element);
+        }
+
+        const attributes = new Map();
+        ATTRIBUTE_REGEX.lastIndex = 0;
+        let attribute;
+        let lastIndex = 0;
+        while ((attribute = ATTRIBUTE_REGEX.exec(rest)) !== null) {
+            const [, attributeName, doubleQuoted, singleQuoted] = attribute;
+            const value = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+            if (attributes.has(attributeName)) {
+                return fail(position, `Attribute ${attributeName} is repeated in <${name}>`);
+            }
+            const problem = value.includes('<') ? '"<" is not allowed in an attribute value' : checkCharacters(value);
+            if (problem) {
+                return fail(position, `${problem}, in attribute ${attributeName} of <${name}>`);
+            }
+            attributes.set(attributeName, decodeXml(value));
+            lastIndex = ATTRIBUTE_REGEX.lastIndex;
+        }
+        if (rest.substring(lastIndex).trim()) {
+            return fail(position, `Malformed attributes in <${name}>: ${rest.substring(lastIndex).trim().substring(0, 40)}`);
+        }
+        return openElement(position, name, attributes, selfClosing);
+    };
+
+    const readText = (position, text) => {
+        if (stack.length === 0) {
+            if (text.trim()) {
+                fail(position + text.search(/\S/), 'Text outside of the root element');
+            }
+            return;
+        }
+        const problem = checkCharacters(text);
+        if (problem) {
+            const character = text.search(BAD_CHARACTER_REGEX);
+            return fail(position + (character !== -1 ? character : text.search(BAD_AMPERSAND_REGEX)), problem);
+        }
+        if (capture) {
+            capture.text += text;
+        }
+    };
+
+    // Read the complete tokens of the buffer, all of it when the file is over
+    const parse = final => {
+        let position = 0;
+        while (position < buffer.length && !fatal) {
+            if (buffer[position] !== '<') {
+                let end = buffer.indexOf('<', position);
+                if (end === -1 && !final) {
+                    // An entity may be cut at the end of the chunk
+                    const ampersand = buffer.lastIndexOf('&');
+                    end = ampersand >= position ? ampersand : buffer.length;
+                    if (end === position) {
+                        break;
+                    }
+                }
+                end = end === -1 ? buffer.length : end;
+                readText(position, buffer.substring(position, end));
+                position = end;
+                continue;
+            }
+
+            const markup = MARKUP.find(([opening]) => buffer.startsWith(opening, position));
+            const closing = markup ? buffer.indexOf(markup[1], position + markup[0].length) : -1;
+            const end = markup ? (closing === -1 ? -1 : closing + markup[1].length) : tagEnd(buffer, position);
+            if (end === -1) {
+                if (final) {
+                    fail(position, `Unterminated ${markup ? markup[0] : 'tag'} ${buffer.substr(position, 40).split('\n')[0]}`);
+                }
+                break;
+            }
+            if (!markup) {
+                readTag(position, buffer.substring(position, end));
+            } else if (markup[0] === '<![CDATA[') {
+                if (stack.length === 0) {
+                    fail(position, 'CDATA section outside of the root element');
+                } else if (capture) {
+                    capture.text += buffer.substring(position + markup[0].length, closing);
+                }
+            } else if (markup[0] === '<?' && /^<\?xml\s/i.test(buffer.substring(position, end)) && locate(position).offset > 0) {
+                fail(position, 'XML declaration after the start of the file');
+            }
+            position = end;
+        }
+        const { offset, line } = locate(position);
+        cursor = { position: 0, offset, line };
+        buffer = buffer.substring(position);
+    };
+
+    const stream = fs.createReadStream(file, { encoding: 'utf8', highWaterMark: 1024 * 1024 });
+    try {
+        for await (const chunk of stream) {
+            buffer += chunk;
+            parse(false);
+            if (fatal) {
+                return errors;
+            }
+        }
+        parse(true);
+    } finally {
+        stream.destroy();
+    }
+
+    if (!fatal) {
+        if (!rootSeen) {
+            fail(0, 'No root element');
+        } else if (stack.length > 0) {
+            const element = stack[stack.length - 1];
+            addError(element.location, `<${element.name}> is not closed`);
+        }
+    }
+    return errors;
+}
+
+module.exports = { validateFile };
@@ -0,0 +1,98 @@
+// wikilinks.js - Find and rewrite link targets in raw (XML-escaped) wikitext
+//
+// Recognised links:
+//   [[target]], [[target|label]], [[target#anchor|label]], [[:Category:target]]
+//   {{Localized link|target|label}} and the other templates of LINK_TEMPLATES
+// Only the page part of the target is handed to the rewrite callback: the leading
+// colon, #anchor, |label and surrounding whitespace are kept as written. Targets
+// built from templates ([[{{PAGENAME}}/fr]]), interwiki targets and links inside
+// <nowiki>, <pre>, <syntaxhighlight> or <source> are left untouched.
+
+const { decodeXml, encodeXml } = require('./page');
+const { splitTitle } = require('./namespaces');
+
+// Templates whose first positional parameter is a page name
+const LINK_TEMPLATES = ['Localized link'];
+
+// Regions where [[...]] is not a link; the XML export escapes "<" as "&lt;"
+const PROTECTED_REGEX = /(?:<|&lt;)(nowiki|pre|syntaxhighlight|source)\b[\s\S]*?(?:<|&lt;)\/\1(?:>|&gt;)/gi;
+
+const LINK_REGEX = /\[\[([^\[\]{}|]+)(?=\||\]\])/g;
+
+// Template names are case-insensitive on their first letter, and spaces and underscores are equivalent
+function templateNamePattern(name) {
+    return `[${name[0].toUpperCase()}${name[0].toLowerCase()}]${name.substring(1).replace(/ /g, '[ _]')}`;
+}
+
+const LINK_TEMPLATE_REGEX = new RegExp(
+    `(\\{\\{\\s*(?:${LINK_TEMPLATES.map(templateNamePattern).join('|')})\\s*\\|)([^{}|=]+)(?=\\||\\}\\})`,
+    'g'
+);
+
+/**
+ * Apply a function to the parts of a wikitext where links are live
+ * @param {string} text - Raw wikitext
+ * @param {function(string): string} fn - Receives and returns an unprotected segment
+ * @returns {string}
+ */
+function mapUnprotected(text, fn) {
+    let result = '';
+    let lastIndex = 0;
+    let match;
+    PROTECTED_REGEX.lastIndex = 0;
+    while ((match = PROTECTED_REGEX.exec(text)) !== null) {
+        result += fn(text.substring(lastIndex, match.index)) + match[0];
+        lastIndex = match.index + match[0].length;
+    }
+    return result + fn(text.substring(lastIndex));
+}
+
+/**
+ * Rewrite one raw link target through the callback
+ * @param {string} rawTarget - XML-escaped target, as found between "[[" and "|" or "]]"
+ * @param {function(string): string} rewrite - Receives the decoded page part, returns its new value
+ * @returns {string} - The new raw target
+ */
+function rewriteTarget(rawTarget, rewrite) {
+    const target = decodeXml(rawTarget);
+    const [, leading, body, trailing] = target.match(/^(\s*:?\s*)([\s\S]*?)(\s*)$/);
+    const anchorStart = body.indexOf('#');
+    const page = anchorStart === -1 ? body : body.substring(0, anchorStart);
+    const anchor = anchorStart === -1 ? '' : body.substring(anchorStart);
+
+    // Same-page anchors and interwiki links have no local page to rename
+    if (!page.trim() || splitTitle(page).interwiki) {
+        return rawTarget;
+    }
+
+    const renamed = rewrite(page);
+    return renamed === page ? rawTarget : encodeXml(leading + renamed + anchor + trailing);
+}
+
+/**
+ * Rewrite the target of every link of a wikitext
+ * @param {string} text - Raw (XML-escaped) wikitext
+ * @param {function(string): string} rewrite - Receives each decoded target page (without anchor), returns its new value
+ * @returns {string} - The wikitext with rewritten targets
+ */
+function rewriteLinks(text, rewrite) {
+    return mapUnprotected(text, segment => segment
+        .replace(LINK_REGEX, (match, rawTarget) => '[[' + rewriteTarget(rawTarget, rewrite))
+        .replace(LINK_TEMPLATE_REGEX, (match, opening, rawTarget) => opening + rewriteTarget(rawTarget, rewrite)));
+}
+
+/**
+ * List the target pages of every link of a wikitext
+ * @param {string} text - Raw (XML-escaped) wikitext
+ * @returns {Array<string>} - Decoded target pages, without anchors, in order of appearance
+ */
+function findLinks(text) {
+    const targets = [];
+    rewriteLinks(text, page => {
+        targets.push(page.trim());
+        return page;
+    });
+    return targets;
+}
+
+module.exports = { LINK_TEMPLATES, mapUnprotected, rewriteLinks, findLinks };
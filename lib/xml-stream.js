@@ -0,0 +1,75 @@
+// xml-stream.js - Read and write MediaWiki XML exports one <page> at a time
+//
+// Special:Export dumps can be hundreds of MB, so they are never loaded in full:
+// readPages() yields the dump as a sequence of chunks (the header holding
+// <mediawiki> and <siteinfo>, each <page> element, the whitespace between pages,
+// then the closing footer) and createOutput() writes chunks back while
+// respecting stream backpressure.
+
+const fs = require('fs');
+const { once } = require('events');
+
+/**
+ * Iterate over a MediaWiki XML export without reading it fully into memory
+ * @param {string} file - Path to the XML dump
+ * @yields {{type: 'header'|'page'|'raw'|'footer', xml: string}} - Consecutive chunks, which concatenated give back the input
+ */
+async function* readPages(file) {
+    const stream = fs.createReadStream(file, { encoding: 'utf8', highWaterMark: 1024 * 1024 });
+    let buffer = '';
+    let headerDone = false;
+
+    for await (const chunk of stream) {
+        buffer += chunk;
+
+        // Walk the buffer with an offset and only drop consumed text once per chunk
+        let offset = 0;
+        let end;
+        while ((end = buffer.indexOf('</page>', offset)) !== -1) {
+            const start = buffer.lastIndexOf('<page>', end);
+            if (start < offset) {
+                throw new Error(`Malformed XML in ${file}: </page> without <page>`);
+            }
+            // Whatever precedes the page is the header (first page) or inter-page whitespace
+            const before = buffer.substring(offset, start);
+            if (!headerDone) {
+                yield { type: 'header', xml: before };
+                headerDone = true;
+            } else if (before) {
+                yield { type: 'raw', xml: before };
+            }
+            offset = end + '</page>'.length;
+            yield { type: 'page', xml: buffer.substring(start, offset) };
+        }
+        buffer = buffer.substring(offset);
+    }
+
+    if (!headerDone) {
+        yield { type: 'header', xml: buffer };
+    } else if (buffer) {
+        yield { type: 'footer', xml: buffer };
+    }
+}
+
+/**
+ * Open an output file that can be written chunk by chunk
+ * @param {string} file - Path of the file to create (overwritten if it exists)
+ * @returns {{write: function(string): Promise<void>, end: function(): Promise<void>}}
+ */
+function createOutput(file) {
+    const stream = fs.createWriteStream(file, { encoding: 'utf8' });
+
+    return {
+        async write(xml) {
+            if (!stream.write(xml)) {
+                await once(stream, 'drain');
+            }
+        },
+        async end() {
+            stream.end();
+            await once(stream, 'finish');
+        }
+    };
+}
+
+module.exports = { readPages, createOutput };
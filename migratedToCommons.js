@@ -10,38 +10,39 @@
 (function() {
     'use strict';
 
-    // Transformation rules from json/replaces.json (type: "rename" only)
-    const transformRules = [        
-        { "type":"rename", "match": "Category:Tool", "replace": "Category:Lingua Libre tool" },
-        { "type":"rename", "match": "Category:Events", "replace": "Category:Lingua Libre events" },
-        { "type":"rename", "match": "Category:Speakers in", "replace": "Category:Voice contributors in" },
-        { "type":"rename", "match": "Category:Speakers by", "replace": "Category:Voice contributors by" },
-        { "type":"rename", "match": "User:", "replace": "User:" },
-        { "type":"rename", "match": "LL:", "replace": "Commons:Lingua Libre/" },
-        { "type":"rename", "match": "\\|Lingua[lL]ibre:", "replace": "|Lingua Libre/" },
-        { "type":"rename", "match": "Lingua[lL]ibre:", "replace": "Commons:Lingua Libre/" },
-        { "type":"rename", "match": "LinguaLibre:Help", "replace": "Help:Lingua Libre" },
-        { "type":"rename", "match": "Help:", "replace": "Help:Lingua Libre/" },
-        { "type":"rename", "match": "Help:Main", "replace": "Help:Lingua Libre" },
-        { "type":"rename", "match": "List:Teochew ", "replace": "List:Teochew/Teochew-" },  
-        { "type":"rename", "match": "List:CY/ ", "replace": "List:Cym" },  
-        { "type":"rename", "match": "List:", "replace": "Commons:Lingua Libre/List/" },      
-        { "type":"rename", "match": "Translations:", "replace": "Translations:" },
-        { "type":"rename", "match": "Template:", "replace": "Template:" },
-        { "type":"rename", "match": "Welcome/", "replace": "Welcome-LL/" }
-    ];
+    // json/replaces.json, next to this script where it is served from, holds the transformation
+    // rules and the scopes of the rules without one, as for clean-xml.js (see lib/rules.js)
+    const scriptUrl = document.currentScript ? document.currentScript.src : window.location.href;
+    const RULES_URL = new URL('json/replaces.json', scriptUrl).href;
+
+    /**
+     * Load the rules of json/replaces.json that apply to titles
+     * @returns {Promise<Array<Object>>} - Rules in file order, none if the file cannot be loaded
+     */
+    async function loadTitleRules() {
+        try {
+            const response = await fetch(RULES_URL);
+            const { rules, defaultScopes = {} } = await response.json();
+            // Rules that need a feature of clean-xml.js --activate are left out, as they are by default
+            return rules.filter(rule => !rule.requires && [].concat(rule.scope || defaultScopes[rule.type] || []).includes('title'));
+        } catch (error) {
+            console.error(`migratedToCommons.js: Error loading ${RULES_URL}:`, error);
+            return [];
+        }
+    }
 
     /**
      * Apply transformation rules to a page title
      * @param {string} title - The page title to transform
+     * @param {Array<Object>} transformRules - Rules from loadTitleRules()
      * @returns {string|null} - The transformed title, or null if no transformation applied
      */
-    function transformPageTitle(title) {
+    function transformPageTitle(title, transformRules) {
         let transformed = title;
         let hasChanged = false;
 
         for (const rule of transformRules) {
-            const regex = new RegExp(rule.match, 'g');
+            const regex = new RegExp(rule.match, rule.flags || 'g');
             const newTitle = transformed.replace(regex, rule.replace);
             
             // Check if title changed OR if it's a redirectToCommons rule
@@ -155,7 +156,7 @@
         }
 
         // Apply transformation rules
-        const newPageTitle = transformPageTitle(pageTitle);
+        const newPageTitle = transformPageTitle(pageTitle, await loadTitleRules());
         
         // If transformation was applied, check if page exists on Commons
         if (newPageTitle) { // <------------------------------ could be removed
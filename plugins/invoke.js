@@ -0,0 +1,48 @@
+// invoke.js - Point the {{#invoke:}} calls of the pages to the Lua modules imported from Lingua Libre
+//
+// Modules imported from Lingua Libre may take a title of their own on Commons, under a module
+// holding them ("options.module", e.g. "Lingua Libre"). Only the calls to the modules listed in
+// "options.modules" are rewritten, {{#invoke:Example|main}} becoming {{#invoke:Lingua Libre/Example|main}};
+// calls to the modules Commons already has, such as Languages, are left as they are. Each listed
+// module needs the matching rename rule in json/replaces.json, e.g. "Module:Example" to
+// "Module:Lingua Libre/Example", for its page to be imported under that title:
+//   { "module": "plugins/invoke.js", "stage": "before-rules", "options": { "module": "Lingua Libre", "modules": ["Example"] } }
+// Registered in json/plugins.json, see lib/plugins.js.
+
+// {{#invoke:Module name|..., the "Module:" prefix being optional
+const INVOKE_REGEX = /(\{\{\s*#invoke\s*:\s*)((?:Module\s*:\s*)?)([^|{}]*?)(\s*[|}])/gi;
+
+// Key under which module names are compared, MediaWiki ignoring the case of their first letter
+function moduleKey(name) {
+    const spaced = name.replace(/_/g, ' ').trim();
+    return spaced.charAt(0).toUpperCase() + spaced.substring(1);
+}
+
+/**
+ * Rewrite the {{#invoke:}} calls of a wikitext
+ * @param {string} text - Decoded wikitext
+ * @param {string} prefix - Module holding the modules of Lingua Libre, e.g. "Lingua Libre"
+ * @param {Set<string>} modules - Keys of the modules imported from Lingua Libre
+ * @returns {string}
+ */
+function rewriteInvokes(text, prefix, modules) {
+    return text.replace(INVOKE_REGEX, (call, start, namespace, name, end) => {
+        if (!modules.has(moduleKey(name))) {
+            return call;
+        }
+        return `${start}${namespace}${prefix}/${moduleKey(name)}${end}`;
+    });
+}
+
+module.exports = {
+    name: 'invoke',
+    transform(page, options) {
+        const prefix = options.module || 'Lingua Libre';
+        const modules = new Set((options.modules || []).map(moduleKey));
+        return {
+            ...page,
+            text: rewriteInvokes(page.text, prefix, modules),
+            revisions: page.revisions.map(revision => ({ ...revision, text: rewriteInvokes(revision.text, prefix, modules) }))
+        };
+    }
+};